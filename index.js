@@ -1,5 +1,19 @@
 /* eslint-disable jsdoc/require-returns-type */
 
+import { createPredicate, createComparator } from './lib/query.js';
+import isDeepEqual from './lib/equal.js';
+import createSchema from './lib/schema.js';
+import { validateDocument, DocumentValidationError } from './lib/validate.js';
+import serializeOperations from './lib/atomic.js';
+import { collectIncluded } from './lib/include.js';
+import denormalize from './lib/denormalize.js';
+import { createInflector, inflectResource, inflectMeta } from './lib/inflector.js';
+import { buildQuery, parseQuery } from './lib/querystring.js';
+import { normalizeLink, normalizeLinks } from './lib/links.js';
+import createModelIndex from './lib/indexes.js';
+import resolveMergeOptions from './lib/merge.js';
+import deepFreeze from './lib/immutable.js';
+
 /**
  * @typedef {{[x: string]: any}} ExtendedModel
  * @typedef {Model & ExtendedModel} IModel
@@ -8,9 +22,206 @@
  * @typedef {import('./internal.ts').Meta} Meta
  * @typedef {import('./internal.ts').Linkage} Linkage
  * @typedef {import('./internal.ts').Relationship} Relationship
+ * @typedef {import('./internal.ts').Dependent} Dependent
+ * @typedef {import('./internal.ts').StoreSnapshot} StoreSnapshot
+ * @typedef {import('./internal.ts').ModelSyncState} ModelSyncState
+ * @typedef {import('./lib/query.js').QueryOptions} QueryOptions
+ * @typedef {import('./lib/querystring.js').QueryParameters} QueryParameters
+ * @typedef {import('./lib/schema.js').Schema} Schema
+ * @typedef {import('./lib/schema.js').SchemaDefinition} SchemaDefinition
+ * @typedef {import('./lib/schema.js').Transform} Transform
+ * @typedef {import('./lib/validate.js').ValidationIssue} ValidationIssue
+ * @typedef {import('./lib/denormalize.js').DenormalizeOptions} DenormalizeOptions
+ * @typedef {import('./lib/inflector.js').Inflector} Inflector
+ * @typedef {import('./lib/inflector.js').InflectionOptions} InflectionOptions
+ * @typedef {import('./lib/links.js').Link} Link
+ * @typedef {import('./lib/indexes.js').IndexKey} IndexKey
+ * @typedef {import('./lib/indexes.js').IndexOptions} IndexOptions
+ * @typedef {import('./lib/indexes.js').ModelIndex} ModelIndex
+ * @typedef {import('./lib/merge.js').MergeOptions} MergeOptions
+ * @typedef {import('./lib/merge.js').MergeStrategy} MergeStrategy
+ * @typedef {import('./lib/merge.js').ConflictStrategy} ConflictStrategy
+ * @typedef {import('./lib/merge.js').ResolvedMergeOptions} ResolvedMergeOptions
+ * @typedef {import('./lib/immutable.js').ImmutableRecord} ImmutableRecord
+ * @typedef {import('./lib/immutable.js').RecordIdentifier} RecordIdentifier
+ * @typedef {import('./lib/immutable.js').ImmutableSnapshot} ImmutableSnapshot
+ *
+ * @typedef {'created'|'updated'|'destroyed'} ChangeKind
+ * @typedef {{model: Model, kind: ChangeKind, attributes: string[], relationships: string[]}} ModelChange
+ * @typedef {{attributes: string[], relationships: string[], links: boolean}} CopiedFields
+ * @typedef {ModelChange & {links: boolean}} ForkChange
+ *
+ * @typedef {object} CopyOptions
+ * @property {CopiedFields=} fields Attributes and relationships to copy, and whether to copy links and meta of the model. (Default: all state).
+ * @property {boolean=} lazy Whether linked models are resolved only once relationship is accessed. (Default: `false`).
+ * @typedef {(change: ModelChange) => void} ModelChangeListener
+ * @typedef {{created: Model[], updated: Model[], destroyed: Model[], changes: ModelChange[]}} StoreChange
+ * @typedef {(event: StoreChange) => void} StoreChangeListener
+ * @typedef {(model: Model, name: string) => Promise<void>} RelationshipLoader
+ */
+
+/**
+ * Create model change.
+ *
+ * @param {Model} model The changed model.
+ * @param {ChangeKind} kind The kind of change.
+ * @param {string[]} attributes Changed attributes.
+ * @param {string[]} relationships Changed relationships.
+ *
+ * @returns Model change.
+ */
+function createChange(model, kind, attributes = [], relationships = []) {
+	/** @type {ModelChange} */
+	const change = { model, kind, attributes, relationships };
+	return change;
+}
+
+/**
+ * Merge two changes of the same model. Destroyed model stays destroyed and created model stays
+ * created.
+ *
+ * @param {ModelChange} change The earlier change.
+ * @param {ModelChange} nextChange The later change.
+ *
+ * @returns Merged model change.
+ */
+function mergeChange(change, nextChange) {
+	let kind = change.kind;
+	if (nextChange.kind === 'destroyed') {
+		kind = 'destroyed';
+	} else if (nextChange.kind === 'created' && kind === 'updated') {
+		kind = 'created';
+	}
+	return createChange(
+		change.model,
+		kind,
+		[...new Set([...change.attributes, ...nextChange.attributes])],
+		[...new Set([...change.relationships, ...nextChange.relationships])]
+	);
+}
+
+/**
+ * Copy relationship value so that later changes of to-many relationship don't affect it.
+ *
+ * @param {?Model|Model[]=} relationship The relationship value.
+ *
+ * @returns Copy of relationship value.
+ */
+function copyRelationship(relationship) {
+	return Array.isArray(relationship) ? [...relationship] : relationship;
+}
+
+/**
+ * Define property which value is computed on its first access. Assigning the property replaces
+ * it with plain value.
+ *
+ * @param {{[x: string]: any}} object The object to define property on.
+ * @param {string} key The name of the property.
+ * @param {() => any} compute Function which computes value of the property.
+ */
+function defineLazyProperty(object, key, compute) {
+	const define = (/** @type {any} */ value) => {
+		Object.defineProperty(object, key, {
+			value: value,
+			writable: true,
+			enumerable: true,
+			configurable: true
+		});
+	};
+	Object.defineProperty(object, key, {
+		get: () => {
+			const value = compute();
+			define(value);
+			return value;
+		},
+		set: define,
+		enumerable: true,
+		configurable: true
+	});
+}
+
+const lidPrefix = Math.random().toString(36).slice(2);
+let lidCounter = 0;
+
+/**
+ * Generate local id of the model. Random UUID is used where Web Crypto API is available, otherwise
+ * (like in Node 18) counter with random prefix unique for the session.
+ *
+ * @returns {string}
+ */
+function generateLid() {
+	if (typeof globalThis.crypto?.randomUUID === 'function') {
+		return globalThis.crypto.randomUUID();
+	}
+	lidCounter += 1;
+	return `${lidPrefix}-${lidCounter}`;
+}
+
+/**
+ * Check if two relationship values link the same models.
+ *
+ * @param {?Model|Model[]=} a
+ * @param {?Model|Model[]=} b
+ */
+function isSameRelationship(a, b) {
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((model, index) => model === b[index]);
+	}
+	return a === b;
+}
+
+/**
+ * Create store change event from list of model changes.
+ *
+ * @param {ModelChange[]} changes The list of model changes.
+ *
+ * @returns Store change event.
+ */
+function createStoreChange(changes) {
+	/** @type {StoreChange} */
+	const event = { created: [], updated: [], destroyed: [], changes: changes };
+	for (const change of changes) {
+		event[change.kind].push(change.model);
+	}
+	return event;
+}
+
+/**
+ * Find field of the resource at given pointer which error belongs to.
+ *
+ * @param {ErrorObject} error The error object.
+ * @param {string} pointer JSON pointer to the resource in the request document.
+ *
+ * @returns Field name, `base` for errors of whole resource or document, or `null` for errors of
+ * other resources.
  */
+function getErrorField(error, pointer) {
+	const source = /** @type {{pointer?: unknown}} */ (error.source ?? {});
+	const path = source.pointer;
+	if (typeof path !== 'string' || `${pointer}/`.startsWith(`${path}/`)) {
+		return 'base';
+	}
+	if (!path.startsWith('/data/')) {
+		return 'base';
+	}
+	if (!path.startsWith(`${pointer}/`)) {
+		return null;
+	}
+	const [member, name] = path.slice(pointer.length + 1).split('/');
+	if ((member === 'attributes' || member === 'relationships') && name) {
+		return name.replaceAll('~1', '/').replaceAll('~0', '~');
+	}
+	return 'base';
+}
 
 class Model {
+	/**
+	 * Local identifier of the model which is not yet created on the server.
+	 *
+	 * @type {string=}
+	 */
+	lid;
+
 	/** @type {LinksObject} */
 	#links = {};
 
@@ -23,7 +234,7 @@ class Model {
 	/** @type {string[]} */
 	#relationships = [];
 
-	/** @type {{id: string, type: string, relation: string}[]} */
+	/** @type {Dependent[]} */
 	#dependents = [];
 
 	/** @type {{[x: string]: LinksObject}} */
@@ -32,6 +243,45 @@ class Model {
 	/** @type {{[x: string]: Meta}} */
 	#relationshipMeta = {};
 
+	/** @type {{[x: string]: ErrorObject[]}} */
+	#errors = {};
+
+	/** @type {Set<string>} */
+	#loadedFields = new Set();
+
+	#isSynced = false;
+
+	#isSyncing = false;
+
+	/** @type {?Schema} */
+	#schema = null;
+
+	/** @type {?Inflector} */
+	#inflector = null;
+
+	/** @type {?RelationshipLoader} */
+	#loader = null;
+
+	/** @type {Map<string, Promise<void>>} */
+	#loading = new Map();
+
+	/** @type {{[x: string]: any}} */
+	#syncedAttributes = {};
+
+	/** @type {{[x: string]: ?Model|Model[]|undefined}} */
+	#syncedRelationships = {};
+
+	/** @type {Set<ModelChangeListener>} */
+	#listeners = new Set();
+
+	/** @type {?ModelChangeListener} */
+	#observer = null;
+
+	#batchDepth = 0;
+
+	/** @type {?ModelChange} */
+	#pendingChange = null;
+
 	/**
 	 * @param {string} type The type of the model.
 	 * @param {string=} id The id of the model.
@@ -41,6 +291,155 @@ class Model {
 		this.type = type;
 		this.links = this.#links;
 		this.meta = this.#meta;
+		this.errors = this.#errors;
+	}
+
+	/**
+	 * Subscribe to changes of a model. Changes made during `.sync()` are batched into single
+	 * notification.
+	 *
+	 * @param {ModelChangeListener} listener Function called with model change.
+	 *
+	 * @returns Function which removes the listener.
+	 */
+	subscribe(listener) {
+		this.#listeners.add(listener);
+		return () => {
+			this.#listeners.delete(listener);
+		};
+	}
+
+	/**
+	 * Set observer which receives model changes instead of model listeners. Mostly used by stores.
+	 *
+	 * @param {?ModelChangeListener} observer Function called with model change.
+	 *
+	 * @ignore
+	 */
+	observe(observer) {
+		this.#observer = observer;
+	}
+
+	/**
+	 * Notify model listeners about change. Mostly used by stores.
+	 *
+	 * @param {ModelChange} change The model change.
+	 *
+	 * @ignore
+	 */
+	notify(change) {
+		for (const listener of this.#listeners) {
+			listener(change);
+		}
+	}
+
+	/**
+	 * Set schema used to deserialize and serialize attributes. Synced attributes without local
+	 * changes are converted with new schema. Mostly used by stores.
+	 *
+	 * @param {?Schema} schema The schema of the model type.
+	 *
+	 * @ignore
+	 *
+	 * @this {IModel}
+	 */
+	setSchema(schema) {
+		const unchangedAttributes = this.#attributes.filter((key) => {
+			return (
+				Object.hasOwn(this.#syncedAttributes, key) &&
+				isDeepEqual(this.#syncedAttributes[key], this.#serializeAttribute(key, this[key]))
+			);
+		});
+		this.#schema = schema;
+		this.#batch(() => {
+			for (const key of unchangedAttributes) {
+				this.setAttribute(
+					key,
+					this.#deserializeAttribute(key, structuredClone(this.#syncedAttributes[key]))
+				);
+			}
+		});
+	}
+
+	/**
+	 * Convert attribute value received from API.
+	 *
+	 * @param {string} attributeName The name of the attribute.
+	 * @param {any} value The value of the attribute.
+	 *
+	 * @returns Attribute value.
+	 */
+	#deserializeAttribute(attributeName, value) {
+		const transform = this.#schema?.attributes[attributeName]?.transform;
+		if (!transform || typeof value === 'undefined') {
+			return value;
+		}
+		return transform.deserialize(value);
+	}
+
+	/**
+	 * Convert attribute value sent to API.
+	 *
+	 * @param {string} attributeName The name of the attribute.
+	 * @param {any} value The value of the attribute.
+	 *
+	 * @returns Attribute value.
+	 */
+	#serializeAttribute(attributeName, value) {
+		const transform = this.#schema?.attributes[attributeName]?.transform;
+		if (!transform || typeof value === 'undefined') {
+			return value;
+		}
+		return transform.serialize(value);
+	}
+
+	/**
+	 * Record change of attributes and/or relationships.
+	 *
+	 * @param {string[]} attributes Changed attributes.
+	 * @param {string[]} relationships Changed relationships.
+	 */
+	#recordChange(attributes, relationships) {
+		const change = createChange(this, 'updated', attributes, relationships);
+		this.#pendingChange = this.#pendingChange
+			? mergeChange(this.#pendingChange, change)
+			: change;
+		if (this.#batchDepth === 0) {
+			this.#flush();
+		}
+	}
+
+	/**
+	 * Run callback and notify about all changes made during it at once.
+	 *
+	 * @template T
+	 * @param {() => T} callback
+	 *
+	 * @returns Result of the callback.
+	 */
+	#batch(callback) {
+		this.#batchDepth += 1;
+		try {
+			return callback();
+		} finally {
+			this.#batchDepth -= 1;
+			if (this.#batchDepth === 0) {
+				this.#flush();
+			}
+		}
+	}
+
+	#flush() {
+		const change = this.#pendingChange;
+		if (!change) {
+			return;
+		}
+		this.#pendingChange = null;
+		if (this.#observer) {
+			this.#observer(change);
+		} else {
+			this.notify(change);
+		}
 	}
 
 	/**
@@ -71,13 +470,19 @@ class Model {
 	 *
 	 * @param {string} type The type of the dependent model.
 	 * @param {string} id The id of the dependent model.
+	 * @param {string=} relation The name of the relation found on the dependent model. (Default: all relations).
 	 *
 	 * @ignore
 	 */
-	removeDependence(type, id) {
+	removeDependence(type, id, relation) {
 		const dependents = this.#dependents;
-		for (const [index, dependent] of dependents.entries()) {
-			if (dependent.id === id && dependent.type === type) {
+		for (let index = dependents.length - 1; index >= 0; index--) {
+			const dependent = dependents[index];
+			if (
+				dependent?.id === id &&
+				dependent.type === type &&
+				(typeof relation === 'undefined' || dependent.relation === relation)
+			) {
 				dependents.splice(index, 1);
 			}
 		}
@@ -98,409 +503,3125 @@ class Model {
 		for (const dependent of dependents) {
 			// eslint-disable-next-line unicorn/no-array-method-this-argument
 			const dependentModel = findModel(dependent);
-			dependentModel?.removeRelationship(this.type, this.id, dependent.relation);
+			if (dependentModel) {
+				dependentModel.removeRelationship(this.type, this.id, dependent.relation);
+				// Removed model is gone from server state too, so it shouldn't make dependent dirty
+				dependentModel.#removeSyncedRelationship(dependent.relation, this);
+			}
 		}
 	}
 
 	/**
-	 * Set/add an attribute to a model.
+	 * Retrieve dependents of the model. Mostly used by stores.
 	 *
-	 * @param {string} attributeName The name of the attribute.
-	 * @param {any} value The value of the attribute.
+	 * @returns {Dependent[]}
 	 *
-	 * @this {IModel}
+	 * @ignore
 	 */
-	setAttribute(attributeName, value) {
-		if (typeof this[attributeName] === 'undefined') {
-			this.#attributes.push(attributeName);
-		}
-		this[attributeName] = value;
+	dependents() {
+		return this.#dependents.map((dependent) => ({ ...dependent }));
 	}
 
 	/**
-	 * Set/add a relationships to a model.
+	 * Retrieve models linked by relationships of the model. Mostly used by stores.
 	 *
-	 * @param {string} relationshipName The name of the relationship.
-	 * @param {?Model|Model[]} models The linked model(s).
+	 * @returns {Model[]}
 	 *
 	 * @this {IModel}
+	 *
+	 * @ignore
 	 */
-	setRelationship(relationshipName, models) {
-		if (typeof this[relationshipName] === 'undefined') {
-			this.#relationships.push(relationshipName);
-		}
-		if (Array.isArray(this[relationshipName])) {
-			this[relationshipName].push(models);
-		} else {
-			this[relationshipName] = models;
+	relatedModels() {
+		return this.#relationships
+			.flatMap((key) => [this[key]].flat())
+			.filter((value) => value instanceof Model);
+	}
+
+	/**
+	 * Remove dependence of this model from models linked by its relationships. Mostly used by
+	 * stores.
+	 *
+	 * @this {IModel}
+	 *
+	 * @ignore
+	 */
+	unlinkRelationships() {
+		for (const key of this.#relationships) {
+			this.#relink(key, this[key], null);
 		}
 	}
 
 	/**
-	 * Removes a relationship from a model.
+	 * Remove model from relationship state of last sync.
 	 *
-	 * @param {string} type The type of the dependent model.
-	 * @param {string} id The id of the dependent model.
 	 * @param {string} relationshipName The name of the relationship.
-	 *
-	 * @this {IModel}
+	 * @param {Model} model The model to remove.
 	 */
-	removeRelationship(type, id, relationshipName) {
-		this.removeDependence(type, id);
+	#removeSyncedRelationship(relationshipName, model) {
+		const syncedRelationship = this.#syncedRelationships[relationshipName];
+		if (Array.isArray(syncedRelationship)) {
+			this.#syncedRelationships[relationshipName] = syncedRelationship.filter(
+				(relationshipModel) => relationshipModel !== model
+			);
+		} else if (syncedRelationship === model) {
+			this.#syncedRelationships[relationshipName] = null;
+		}
+	}
 
-		/** @type {Model|Model[]=}*/
-		const relationship = this[relationshipName];
+	/**
+	 * Whether model has attributes or relationships changed since last sync.
+	 */
+	// eslint-disable-next-line accessor-pairs
+	get isDirty() {
+		return (
+			Object.keys(this.changedAttributes()).length !== 0 ||
+			Object.keys(this.changedRelationships()).length !== 0
+		);
+	}
 
-		if (Array.isArray(relationship)) {
-			for (const [index, model] of relationship.entries())
-				if (model.id === id && model.type === type) {
-					relationship.splice(index, 1);
-				}
-		} else if (relationship?.id === id) {
-			this[relationshipName] = null;
-		}
+	/**
+	 * Names of attributes and relationships received from the server. Relationships are loaded
+	 * only when their linkage was received.
+	 */
+	// eslint-disable-next-line accessor-pairs
+	get loadedFields() {
+		return [...this.#loadedFields];
 	}
 
 	/**
-	 * @typedef {object} ModelSerializeOptions
-	 * @property {string[]=} attributes The list of attributes to be serialized. (Default: all attributes).
-	 * @property {string[]=} relationships The list of relationships to be serialized. (Default: all relationships).
-	 * @property {string[]=} links Links to be serialized.
-	 * @property {string[]=} meta Meta information to be serialized.
+	 * Whether model is only placeholder created from relationship linkage, without any data synced
+	 * or set locally.
 	 */
+	// eslint-disable-next-line accessor-pairs
+	get isStub() {
+		return !this.#isSynced && this.#attributes.length === 0 && this.#relationships.length === 0;
+	}
 
 	/**
-	 * Serialize a model.
+	 * Check if attribute or relationship was received from the server. Unlike checking for
+	 * `undefined` value, this distinguishes fields which were not fetched because of sparse
+	 * fieldsets from fields with empty value.
 	 *
-	 * @param {ModelSerializeOptions=} options The options for serialization.
+	 * @param {string} field The name of the attribute or relationship.
+	 */
+	isLoaded(field) {
+		return this.#loadedFields.has(field);
+	}
+
+	/**
+	 * Retrieve URL of the link of the model.
 	 *
-	 * @returns JSON API compliant object.
+	 * @param {string} name The name of the link, like `self`.
 	 *
-	 * @this {IModel}
+	 * @returns URL of the link, or `null` if model has no such link.
 	 */
-	serialize(options) {
-		const relationshipIdentifier = (/** @type {Model}*/ model) => {
-			if (typeof model.id === 'undefined') {
-				return null;
-			}
-			return { type: model.type, id: model.id };
-		};
-
-		const response = /** @type {JSONAPIDocument} */ ({});
-		response.data = /** @type {ResourceObject} */ ({});
+	linkHref(name) {
+		return normalizeLink(this.#links[name])?.href ?? null;
+	}
 
-		response.data.type = this.type;
+	/**
+	 * Retrieve links of the relationship, like `related` or pagination links. Links given as
+	 * strings are normalized into link objects with `href`.
+	 *
+	 * @param {string} name The name of the relationship.
+	 *
+	 * @returns {{[x: string]: Link}} Link objects by name.
+	 */
+	relationshipLinks(name) {
+		return normalizeLinks(this.#relationshipLinks[name]);
+	}
 
-		const {
-			attributes = this.#attributes,
-			relationships = this.#relationships,
-			links,
-			meta
-		} = options ?? {};
+	/**
+	 * Retrieve meta information of the relationship, like total count of related models.
+	 *
+	 * @param {string} name The name of the relationship.
+	 *
+	 * @returns {Meta} Copy of meta information, empty if relationship has none.
+	 */
+	relationshipMeta(name) {
+		return structuredClone(this.#relationshipMeta[name] ?? {});
+	}
 
-		if (typeof this.id !== 'undefined') {
-			response.data.id = this.id;
+	/**
+	 * Load relationship from its `related` link, or from its `self` link which returns linkage,
+	 * using loader of the store. Concurrent calls for the same relationship share single request.
+	 *
+	 * @param {string} name The name of the relationship.
+	 *
+	 * @returns {Promise<?Model|Model[]|undefined>} Loaded value of the relationship.
+	 *
+	 * @this {IModel}
+	 */
+	async load(name) {
+		if (!this.#loader) {
+			throw new Error(`Expected "${this.type}" model to be added to store.`);
 		}
+		const pending =
+			this.#loading.get(name) ??
+			this.#loader(this, name).finally(() => {
+				this.#loading.delete(name);
+			});
+		this.#loading.set(name, pending);
+		await pending;
+		return this[name];
+	}
 
-		if (attributes.length !== 0) {
-			response.data.attributes = {};
-			for (const key of attributes) {
-				response.data.attributes[key] = this[key];
-			}
-		}
+	/**
+	 * Whether model has errors set from server response.
+	 */
+	// eslint-disable-next-line accessor-pairs
+	get hasErrors() {
+		return Object.keys(this.#errors).length !== 0;
+	}
 
-		if (relationships.length !== 0) {
-			response.data.relationships = {};
+	/**
+	 * Set inflector used to convert keys and types of synced and serialized records. Mostly used
+	 * by stores.
+	 *
+	 * @param {?Inflector} inflector The inflector of the store.
+	 *
+	 * @ignore
+	 */
+	setInflector(inflector) {
+		this.#inflector = inflector;
+	}
+
+	/**
+	 * Set function which loads relationships of the model. Mostly used by stores.
+	 *
+	 * @param {?RelationshipLoader} loader Function called with model and name of the relationship.
+	 *
+	 * @ignore
+	 */
+	setLoader(loader) {
+		this.#loader = loader;
+	}
+
+	/**
+	 * Convert keys and types of the resource between API and model.
+	 *
+	 * @template {import('./internal.ts').Optional<ResourceObject, 'id' | 'type'>} T
+	 * @param {T} resource The resource object.
+	 * @param {'serialize'|'deserialize'} direction Whether resource is sent to or received from API.
+	 *
+	 * @returns {T}
+	 */
+	#inflect(resource, direction) {
+		return this.#inflector ? inflectResource(resource, this.#inflector, direction) : resource;
+	}
+
+	/**
+	 * Set errors of the model from error objects. Errors are grouped by attribute or relationship
+	 * they point to with `source.pointer`, other errors are grouped under `base`.
+	 *
+	 * @param {ErrorObject[]} errors The error objects.
+	 * @param {string} pointer JSON pointer to the model in the request document.
+	 */
+	setErrors(errors, pointer = '/data') {
+		/** @type {{[x: string]: ErrorObject[]}} */
+		const fieldErrors = {};
+		for (const error of errors) {
+			const errorField = getErrorField(error, pointer);
+			const field =
+				errorField === null || errorField === 'base' || !this.#inflector
+					? errorField
+					: this.#inflector.deserializeKey(errorField);
+			if (field !== null) {
+				fieldErrors[field] ??= [];
+				fieldErrors[field].push(error);
+			}
+		}
+		const hadErrors = this.hasErrors;
+		this.#errors = fieldErrors;
+		this.errors = this.#errors;
+		if (hadErrors || this.hasErrors) {
+			this.#recordChange([], []);
+		}
+	}
+
+	/**
+	 * Remove all errors of the model.
+	 */
+	clearErrors() {
+		this.setErrors([]);
+	}
+
+	/**
+	 * Retrieve attributes changed since last sync.
+	 *
+	 * @returns {{[x: string]: [any, any]}} Changed attributes with their synced and current values.
+	 *
+	 * @this {IModel}
+	 */
+	changedAttributes() {
+		/** @type {{[x: string]: [any, any]}} */
+		const changes = {};
+		for (const key of this.#attributes) {
+			const syncedValue = this.#syncedAttributes[key];
+			if (!isDeepEqual(syncedValue, this.#serializeAttribute(key, this[key]))) {
+				changes[key] = [
+					this.#deserializeAttribute(key, structuredClone(syncedValue)),
+					this[key]
+				];
+			}
+		}
+		return changes;
+	}
+
+	/**
+	 * Retrieve relationships changed since last sync.
+	 *
+	 * @returns {{[x: string]: [?Model|Model[]|undefined, ?Model|Model[]|undefined]}} Changed relationships with their synced and current linked model(s).
+	 *
+	 * @this {IModel}
+	 */
+	changedRelationships() {
+		/** @type {{[x: string]: [?Model|Model[]|undefined, ?Model|Model[]|undefined]}} */
+		const changes = {};
+		for (const key of this.#relationships) {
+			const syncedRelationship = this.#syncedRelationships[key];
+			if (!isSameRelationship(syncedRelationship, this[key])) {
+				changes[key] = [copyRelationship(syncedRelationship), copyRelationship(this[key])];
+			}
+		}
+		return changes;
+	}
+
+	/**
+	 * Restore all attributes and relationships to their state from the last sync. Attributes and
+	 * relationships which were not synced are removed.
+	 *
+	 * @this {IModel}
+	 */
+	rollback() {
+		// Lists are copied since rollback removes fields which were not synced
+		const attributes = [...this.#attributes];
+		const relationships = [...this.#relationships];
+		this.#batch(() => {
+			for (const key of attributes) {
+				this.rollbackAttribute(key);
+			}
 			for (const key of relationships) {
-				const relationship = /** @type {?Model|Model[]}*/ (this[key]);
-				const result = /** @type {Relationship}*/ ({});
-				if (!relationship) {
-					result.data = null;
-				} else if (Array.isArray(relationship)) {
-					/** @type {Linkage[]} */
-					const identifiers = [];
-					for (const relationshipModel of relationship) {
-						const identifier = relationshipIdentifier(relationshipModel);
-						if (identifier) {
-							identifiers.push(identifier);
+				this.rollbackRelationship(key);
+			}
+		});
+	}
+
+	/**
+	 * Restore attribute to its state from the last sync. Attribute which was not synced is removed.
+	 *
+	 * @param {string} attributeName The name of the attribute.
+	 *
+	 * @this {IModel}
+	 */
+	rollbackAttribute(attributeName) {
+		if (!this.#attributes.includes(attributeName)) {
+			return;
+		}
+		if (Object.hasOwn(this.#syncedAttributes, attributeName)) {
+			const syncedValue = this.#syncedAttributes[attributeName];
+			if (
+				!isDeepEqual(
+					syncedValue,
+					this.#serializeAttribute(attributeName, this[attributeName])
+				)
+			) {
+				this[attributeName] = this.#deserializeAttribute(
+					attributeName,
+					structuredClone(syncedValue)
+				);
+				this.#recordChange([attributeName], []);
+			}
+			return;
+		}
+		this.#attributes.splice(this.#attributes.indexOf(attributeName), 1);
+		delete this[attributeName];
+		this.#recordChange([attributeName], []);
+	}
+
+	/**
+	 * Restore relationship to its state from the last sync. Relationship which was not synced is
+	 * removed.
+	 *
+	 * @param {string} relationshipName The name of the relationship.
+	 *
+	 * @this {IModel}
+	 */
+	rollbackRelationship(relationshipName) {
+		if (!this.#relationships.includes(relationshipName)) {
+			return;
+		}
+		const relationship = this[relationshipName];
+		const syncedRelationship = this.#syncedRelationships[relationshipName];
+		if (isSameRelationship(syncedRelationship, relationship)) {
+			return;
+		}
+		if (Object.hasOwn(this.#syncedRelationships, relationshipName)) {
+			this[relationshipName] = copyRelationship(syncedRelationship);
+		} else {
+			this.#relationships.splice(this.#relationships.indexOf(relationshipName), 1);
+			delete this[relationshipName];
+		}
+		this.#relink(relationshipName, relationship, syncedRelationship);
+		this.#recordChange([], [relationshipName]);
+		this.#syncInverse(relationshipName, relationship);
+	}
+
+	/**
+	 * Move dependence of this model from previously linked models to currently linked models.
+	 *
+	 * @param {string} relationshipName The name of the relationship.
+	 * @param {?Model|Model[]=} previous Previously linked model(s).
+	 * @param {?Model|Model[]=} current Currently linked model(s).
+	 */
+	#relink(relationshipName, previous, current) {
+		if (!this.id) {
+			return;
+		}
+		const previousModels = [previous ?? []].flat();
+		const currentModels = [current ?? []].flat();
+		for (const model of previousModels) {
+			if (!currentModels.includes(model)) {
+				model.removeDependence(this.type, this.id, relationshipName);
+			}
+		}
+		for (const model of currentModels) {
+			model.addDependence(this.type, this.id, relationshipName);
+		}
+	}
+
+	/**
+	 * Set/add an attribute to a model.
+	 *
+	 * @param {string} attributeName The name of the attribute.
+	 * @param {any} value The value of the attribute.
+	 *
+	 * @this {IModel}
+	 */
+	setAttribute(attributeName, value) {
+		if (typeof this[attributeName] === 'undefined') {
+			this.#attributes.push(attributeName);
+		}
+		if (this[attributeName] === value) {
+			return;
+		}
+		this[attributeName] = value;
+		this.#recordChange([attributeName], []);
+	}
+
+	/**
+	 * Set/add a relationships to a model. Models are added to to-many relationship which already
+	 * has value.
+	 *
+	 * @param {string} relationshipName The name of the relationship.
+	 * @param {?Model|Model[]} models The linked model(s).
+	 *
+	 * @this {IModel}
+	 */
+	setRelationship(relationshipName, models) {
+		if (typeof this[relationshipName] === 'undefined') {
+			this.#relationships.push(relationshipName);
+		}
+		const previous = copyRelationship(this[relationshipName]);
+		if (Array.isArray(this[relationshipName])) {
+			// Array of models is added item by item, so relationship never holds nested arrays
+			this[relationshipName].push(...[models ?? []].flat());
+		} else if (this[relationshipName] === models) {
+			return;
+		} else {
+			this[relationshipName] = models;
+		}
+		this.#recordChange([], [relationshipName]);
+		this.#syncInverse(relationshipName, previous);
+	}
+
+	/**
+	 * Replace relationship value instead of adding to to-many relationship.
+	 *
+	 * @param {string} relationshipName The name of the relationship.
+	 * @param {?Model|Model[]} models The linked model(s).
+	 * @param {boolean=} isSynced Whether the change comes from the server. (Default: whether model is being synced).
+	 *
+	 * @this {IModel}
+	 */
+	#replaceRelationship(relationshipName, models, isSynced = this.#isSyncing) {
+		if (!this.#relationships.includes(relationshipName)) {
+			this.#relationships.push(relationshipName);
+		}
+		if (isSameRelationship(this[relationshipName], models)) {
+			return;
+		}
+		const previous = this[relationshipName];
+		this[relationshipName] = models;
+		this.#recordChange([], [relationshipName]);
+		this.#syncInverse(relationshipName, previous, isSynced);
+	}
+
+	/**
+	 * Update inverse relationships of models added to or removed from relationship.
+	 *
+	 * @param {string} relationshipName The name of the relationship.
+	 * @param {?Model|Model[]=} previous The previous relationship value.
+	 * @param {boolean=} isSynced Whether the change comes from the server. (Default: whether model is being synced).
+	 *
+	 * @this {IModel}
+	 */
+	#syncInverse(relationshipName, previous, isSynced = this.#isSyncing) {
+		const inverse = this.#schema?.relationships[relationshipName]?.inverse;
+		if (!inverse) {
+			return;
+		}
+		const previousModels = [previous ?? []].flat();
+		const currentModels = [this[relationshipName] ?? []].flat();
+		for (const model of previousModels) {
+			if (!currentModels.includes(model)) {
+				model.#removeInverse(inverse, this, isSynced);
+			}
+		}
+		for (const model of currentModels) {
+			if (!previousModels.includes(model)) {
+				model.#addInverse(inverse, this, isSynced);
+			}
+		}
+	}
+
+	/**
+	 * Get kind of relationship from schema or from its current value.
+	 *
+	 * @param {string} relationshipName The name of the relationship.
+	 *
+	 * @this {IModel}
+	 */
+	#getRelationshipKind(relationshipName) {
+		const kind = this.#schema?.relationships[relationshipName]?.kind;
+		if (kind) {
+			return kind;
+		}
+		return Array.isArray(this[relationshipName]) ||
+			typeof this[relationshipName] === 'undefined'
+			? 'many'
+			: 'one';
+	}
+
+	/**
+	 * Add model to inverse relationship.
+	 *
+	 * @param {string} relationshipName The name of the inverse relationship.
+	 * @param {Model} model The model which links this model.
+	 * @param {boolean} isSynced Whether the change comes from the server.
+	 *
+	 * @this {IModel}
+	 */
+	#addInverse(relationshipName, model, isSynced) {
+		const previous = this[relationshipName];
+		if (this.#getRelationshipKind(relationshipName) === 'one') {
+			this.#replaceRelationship(relationshipName, model, isSynced);
+			if (isSynced) {
+				this.#syncedRelationships[relationshipName] = model;
+			}
+		} else {
+			const models = [previous ?? []].flat();
+			if (!models.includes(model)) {
+				this.#replaceRelationship(relationshipName, [...models, model], isSynced);
+			}
+			const syncedModels = [this.#syncedRelationships[relationshipName] ?? []].flat();
+			if (isSynced && !syncedModels.includes(model)) {
+				this.#syncedRelationships[relationshipName] = [...syncedModels, model];
+			}
+		}
+		this.#relink(relationshipName, previous, this[relationshipName]);
+	}
+
+	/**
+	 * Remove model from inverse relationship.
+	 *
+	 * @param {string} relationshipName The name of the inverse relationship.
+	 * @param {Model} model The model which no longer links this model.
+	 * @param {boolean} isSynced Whether the change comes from the server.
+	 *
+	 * @this {IModel}
+	 */
+	#removeInverse(relationshipName, model, isSynced) {
+		const previous = this[relationshipName];
+		if (Array.isArray(previous)) {
+			if (previous.includes(model)) {
+				this.#replaceRelationship(
+					relationshipName,
+					previous.filter((relationshipModel) => relationshipModel !== model),
+					isSynced
+				);
+			}
+		} else if (previous === model) {
+			this.#replaceRelationship(relationshipName, null, isSynced);
+		}
+		if (isSynced) {
+			this.#removeSyncedRelationship(relationshipName, model);
+		}
+		this.#relink(relationshipName, previous, this[relationshipName]);
+	}
+
+	/**
+	 * Removes a relationship from a model.
+	 *
+	 * @param {string} type The type of the dependent model.
+	 * @param {string} id The id of the dependent model.
+	 * @param {string} relationshipName The name of the relationship.
+	 *
+	 * @this {IModel}
+	 */
+	removeRelationship(type, id, relationshipName) {
+		this.removeDependence(type, id);
+
+		/** @type {Model|Model[]=}*/
+		const relationship = this[relationshipName];
+		const previous = copyRelationship(relationship);
+
+		if (Array.isArray(relationship)) {
+			for (const [index, model] of relationship.entries())
+				if (model.id === id && model.type === type) {
+					relationship.splice(index, 1);
+					this.#recordChange([], [relationshipName]);
+				}
+		} else if (relationship?.id === id) {
+			this[relationshipName] = null;
+			this.#recordChange([], [relationshipName]);
+		}
+		this.#syncInverse(relationshipName, previous);
+	}
+
+	/**
+	 * @typedef {object} ModelSerializeOptions
+	 * @property {string[]=} attributes The list of attributes to be serialized. (Default: all attributes).
+	 * @property {string[]=} relationships The list of relationships to be serialized. (Default: all relationships).
+	 * @property {string[]=} links Links to be serialized.
+	 * @property {string[]=} meta Meta information to be serialized.
+	 * @property {boolean=} onlyChanged Serialize only attributes and relationships changed since last sync.
+	 * @property {(string|string[])=} include Relationship paths of related models serialized into `included`, e.g. `['author', 'tags.category']`.
+	 */
+
+	/**
+	 * Serialize a model.
+	 *
+	 * @param {ModelSerializeOptions=} options The options for serialization.
+	 *
+	 * @returns JSON API compliant object.
+	 *
+	 * @this {IModel}
+	 */
+	serialize(options) {
+		const relationshipIdentifier = (/** @type {Model}*/ model) => {
+			if (typeof model.id !== 'undefined') {
+				return { type: model.type, id: model.id };
+			}
+			if (typeof model.lid !== 'undefined') {
+				return /** @type {Linkage} */ ({ type: model.type, lid: model.lid });
+			}
+			return null;
+		};
+
+		const response = /** @type {JSONAPIDocument} */ ({});
+		response.data = /** @type {ResourceObject} */ ({});
+
+		response.data.type = this.type;
+
+		const {
+			attributes: attributesOption = this.#attributes,
+			relationships: relationshipsOption = this.#relationships,
+			links,
+			meta,
+			onlyChanged = false,
+			include
+		} = options ?? {};
+
+		let attributes = attributesOption;
+		let relationships = relationshipsOption;
+
+		if (onlyChanged) {
+			const changedAttributes = this.changedAttributes();
+			const changedRelationships = this.changedRelationships();
+			attributes = attributes.filter((key) => Object.hasOwn(changedAttributes, key));
+			relationships = relationships.filter((key) => Object.hasOwn(changedRelationships, key));
+		}
+
+		if (typeof this.id !== 'undefined') {
+			response.data.id = this.id;
+		}
+
+		if (typeof this.id === 'undefined' && typeof this.lid !== 'undefined') {
+			response.data.lid = this.lid;
+		}
+
+		if (attributes.length !== 0) {
+			response.data.attributes = {};
+			for (const key of attributes) {
+				response.data.attributes[key] = this.#serializeAttribute(key, this[key]);
+			}
+		}
+
+		if (relationships.length !== 0) {
+			response.data.relationships = {};
+			for (const key of relationships) {
+				const relationship = /** @type {?Model|Model[]}*/ (this[key]);
+				const result = /** @type {Relationship}*/ ({});
+				if (!relationship) {
+					result.data = null;
+				} else if (Array.isArray(relationship)) {
+					/** @type {Linkage[]} */
+					const identifiers = [];
+					for (const relationshipModel of relationship) {
+						const identifier = relationshipIdentifier(relationshipModel);
+						if (identifier) {
+							identifiers.push(identifier);
+						}
+					}
+					result.data = identifiers;
+				} else {
+					result.data = relationshipIdentifier(relationship);
+				}
+				if (this.#relationshipLinks[key]) {
+					result.links = this.#relationshipLinks[key];
+				}
+				if (this.#relationshipMeta[key]) {
+					result.meta = this.#relationshipMeta[key];
+				}
+				response.data.relationships[key] = result;
+			}
+		}
+
+		if (Object.keys(this.#links).length !== 0) {
+			if (typeof links === 'undefined') {
+				response.data.links = this.#links;
+			} else if (Array.isArray(links) && links.length !== 0) {
+				response.data.links = {};
+				for (const key of links) {
+					// @ts-ignore
+					response.data.links[key] = this.#links[key];
+				}
+			}
+		}
+
+		if (Object.keys(this.#meta).length !== 0) {
+			if (typeof meta === 'undefined') {
+				response.data.meta = this.#meta;
+			} else if (Array.isArray(meta) && meta.length !== 0) {
+				response.data.meta = {};
+				for (const key of meta) {
+					response.data.meta[key] = this.#meta[key];
+				}
+			}
+		}
+
+		response.data = this.#inflect(response.data, 'serialize');
+
+		if (include) {
+			const included = collectIncluded([this], include);
+			if (included.length !== 0) {
+				response.included = included.map(
+					(model) => /** @type {ResourceObject} */ (model.serialize().data)
+				);
+			}
+		}
+
+		return response;
+	}
+
+	/**
+	 * Convert model into plain object with nested related models. Unlike the model, the result has
+	 * no cycles and can be safely passed to view layer or `JSON.stringify`.
+	 *
+	 * @param {DenormalizeOptions=} options Relationships to nest, maximum depth and cycle strategy.
+	 *
+	 * @returns Plain object with identifier, serialized attributes and nested relationships.
+	 */
+	toPlainObject(options) {
+		return denormalize(this, options);
+	}
+
+	/**
+	 * Retrieve serialized attributes and names of relationships, keyed as on the model rather than
+	 * inflected for API. Mostly used by stores.
+	 *
+	 * @returns {{attributes: {[x: string]: any}, relationships: string[]}}
+	 *
+	 * @this {IModel}
+	 *
+	 * @ignore
+	 */
+	serializeFields() {
+		/** @type {{[x: string]: any}} */
+		const attributes = {};
+		for (const key of this.#attributes) {
+			attributes[key] = this.#serializeAttribute(key, this[key]);
+		}
+		return { attributes: attributes, relationships: [...this.#relationships] };
+	}
+
+	/**
+	 * Replace state of the model with copy of state of another model, including its state from
+	 * the last sync. When fields are given, only they are replaced and other changes of the model
+	 * are kept. Mostly used by stores.
+	 *
+	 * @param {Model} model The model to copy.
+	 * @param {(model: Model) => ?Model} resolveModel Function which returns counterpart of linked model, or `null` to unlink it.
+	 * @param {CopyOptions=} options Copy options.
+	 *
+	 * @this {IModel}
+	 *
+	 * @ignore
+	 */
+	copyFrom(model, resolveModel, options = {}) {
+		const { fields, lazy = false } = options;
+		const source = /** @type {IModel} */ (model);
+		const resolve = (/** @type {?Model|Model[]=} */ relationship) => {
+			if (Array.isArray(relationship)) {
+				return relationship.flatMap(
+					(relationshipModel) => resolveModel(relationshipModel) ?? []
+				);
+			}
+			return relationship ? resolveModel(relationship) : relationship;
+		};
+		if (fields) {
+			this.#copyFields(source, fields, resolve);
+			return;
+		}
+		const attributes = [...new Set([...this.#attributes, ...source.#attributes])];
+		const relationships = [...new Set([...this.#relationships, ...source.#relationships])];
+		for (const key of [...this.#attributes, ...this.#relationships]) {
+			delete this[key];
+		}
+		for (const key of source.#attributes) {
+			this[key] = structuredClone(source[key]);
+		}
+		/**
+		 * @param {{[x: string]: any}} object
+		 * @param {string} key
+		 * @param {?Model|Model[]=} relationship
+		 */
+		const assign = (object, key, relationship) => {
+			const value = copyRelationship(relationship);
+			if (lazy) {
+				defineLazyProperty(object, key, () => resolve(value));
+			} else {
+				object[key] = resolve(value);
+			}
+		};
+		for (const key of source.#relationships) {
+			assign(this, key, source[key]);
+		}
+		this.#attributes = [...source.#attributes];
+		this.#relationships = [...source.#relationships];
+		this.#syncedAttributes = structuredClone(source.#syncedAttributes);
+		this.#syncedRelationships = {};
+		for (const [key, relationship] of Object.entries(source.#syncedRelationships)) {
+			assign(this.#syncedRelationships, key, relationship);
+		}
+		this.#links = structuredClone(source.#links);
+		this.links = this.#links;
+		this.#meta = structuredClone(source.#meta);
+		this.meta = this.#meta;
+		this.#relationshipLinks = structuredClone(source.#relationshipLinks);
+		this.#relationshipMeta = structuredClone(source.#relationshipMeta);
+		this.#errors = structuredClone(source.#errors);
+		this.errors = this.#errors;
+		this.#loadedFields = new Set(source.#loadedFields);
+		this.#dependents = structuredClone(source.#dependents);
+		this.#isSynced = source.#isSynced;
+		this.#recordChange(attributes, relationships);
+	}
+
+	/**
+	 * Replace given fields with copy of fields of another model.
+	 *
+	 * @param {IModel} source The model to copy.
+	 * @param {CopiedFields} fields Fields to copy.
+	 * @param {(relationship: Model|Model[]|null|undefined) => Model|Model[]|null|undefined} resolve Function which returns counterpart of relationship value.
+	 *
+	 * @this {IModel}
+	 */
+	#copyFields(source, fields, resolve) {
+		for (const key of fields.attributes) {
+			this.#copyField(source, key, this.#attributes, source.#attributes);
+			this[key] = structuredClone(source[key]);
+			delete this.#syncedAttributes[key];
+			if (Object.hasOwn(source.#syncedAttributes, key)) {
+				this.#syncedAttributes[key] = structuredClone(source.#syncedAttributes[key]);
+			}
+		}
+		for (const key of fields.relationships) {
+			this.#copyField(source, key, this.#relationships, source.#relationships);
+			this[key] = resolve(source[key]);
+			delete this.#syncedRelationships[key];
+			if (Object.hasOwn(source.#syncedRelationships, key)) {
+				this.#syncedRelationships[key] = resolve(source.#syncedRelationships[key]);
+			}
+			this.#copyRelationshipLinks(source, key);
+		}
+		for (const key of [...fields.attributes, ...fields.relationships]) {
+			if (typeof this[key] === 'undefined') {
+				delete this[key];
+			}
+		}
+		if (fields.links) {
+			this.#links = structuredClone(source.#links);
+			this.links = this.#links;
+			this.#meta = structuredClone(source.#meta);
+			this.meta = this.#meta;
+		}
+		this.#errors = structuredClone(source.#errors);
+		this.errors = this.#errors;
+		this.#isSynced ||= source.#isSynced;
+		this.#recordChange(fields.attributes, fields.relationships);
+	}
+
+	/**
+	 * Copy links and meta of relationship of another model.
+	 *
+	 * @param {IModel} source The model to copy.
+	 * @param {string} key The name of the relationship.
+	 *
+	 * @this {IModel}
+	 */
+	#copyRelationshipLinks(source, key) {
+		delete this.#relationshipLinks[key];
+		delete this.#relationshipMeta[key];
+		if (source.#relationshipLinks[key]) {
+			this.#relationshipLinks[key] = structuredClone(source.#relationshipLinks[key]);
+		}
+		if (source.#relationshipMeta[key]) {
+			this.#relationshipMeta[key] = structuredClone(source.#relationshipMeta[key]);
+		}
+	}
+
+	/**
+	 * Add or remove name of the field depending on whether source model has it, and copy whether
+	 * it was loaded.
+	 *
+	 * @param {IModel} source The model to copy.
+	 * @param {string} key The name of the field.
+	 * @param {string[]} names Names of fields of this model, of the same kind.
+	 * @param {string[]} sourceNames Names of fields of source model, of the same kind.
+	 *
+	 * @this {IModel}
+	 */
+	#copyField(source, key, names, sourceNames) {
+		const index = names.indexOf(key);
+		if (sourceNames.includes(key) && index === -1) {
+			names.push(key);
+		} else if (!sourceNames.includes(key) && index !== -1) {
+			names.splice(index, 1);
+		}
+		if (source.#loadedFields.has(key)) {
+			this.#loadedFields.add(key);
+		} else {
+			this.#loadedFields.delete(key);
+		}
+	}
+
+	/**
+	 * Copy current state of the model into plain record, with linked models replaced by their
+	 * identifiers. Mostly used by stores.
+	 *
+	 * @returns {Omit<ImmutableRecord, 'version'>}
+	 *
+	 * @this {IModel}
+	 *
+	 * @ignore
+	 */
+	toRecord() {
+		const identify = (/** @type {Model} */ model) =>
+			typeof model.id === 'undefined'
+				? { type: model.type, lid: model.lid }
+				: { type: model.type, id: model.id };
+		/** @type {{[x: string]: any}} */
+		const attributes = {};
+		for (const key of this.#attributes) {
+			attributes[key] = structuredClone(this[key]);
+		}
+		/** @type {{[x: string]: ?RecordIdentifier|RecordIdentifier[]}} */
+		const relationships = {};
+		for (const key of this.#relationships) {
+			const relationship = this[key];
+			relationships[key] = Array.isArray(relationship)
+				? relationship.map((model) => identify(model))
+				: relationship && identify(relationship);
+		}
+		return {
+			...identify(this),
+			attributes: attributes,
+			relationships: relationships,
+			links: structuredClone(this.#links),
+			meta: structuredClone(this.#meta)
+		};
+	}
+
+	/**
+	 * Create snapshot of model data, dependents and state of the last sync. Mostly used by stores.
+	 *
+	 * @returns {{record: ResourceObject, dependents: Dependent[], state: ModelSyncState}}
+	 *
+	 * @ignore
+	 */
+	snapshot() {
+		const record = /** @type {ResourceObject} */ (this.serialize().data);
+		// Relationships without data are not serialized, but their links and meta are still needed
+		const relationshipKeys = new Set([
+			...Object.keys(this.#relationshipLinks),
+			...Object.keys(this.#relationshipMeta)
+		]);
+		for (const key of this.#relationships) {
+			relationshipKeys.delete(key);
+		}
+		/** @type {{[x: string]: Relationship}} */
+		const relationships = {};
+		for (const key of relationshipKeys) {
+			const result = /** @type {Relationship} */ ({});
+			if (this.#relationshipLinks[key]) {
+				result.links = this.#relationshipLinks[key];
+			}
+			if (this.#relationshipMeta[key]) {
+				result.meta = this.#relationshipMeta[key];
+			}
+			relationships[key] = result;
+		}
+		if (relationshipKeys.size !== 0) {
+			const resource = this.#inflect(
+				{ type: this.type, relationships: relationships },
+				'serialize'
+			);
+			record.relationships = { ...record.relationships, ...resource.relationships };
+		}
+		const dependents = this.#dependents;
+		const state = this.#syncState();
+		return structuredClone({ record, dependents, state });
+	}
+
+	/**
+	 * State of the last sync, with linked models replaced by their identifiers.
+	 *
+	 * @returns {ModelSyncState}
+	 */
+	#syncState() {
+		const identify = (/** @type {Model} */ model) =>
+			/** @type {Linkage} */ (
+				typeof model.id === 'undefined'
+					? { type: model.type, lid: model.lid }
+					: { type: model.type, id: model.id }
+			);
+		/** @type {ModelSyncState['syncedRelationships']} */
+		const syncedRelationships = {};
+		for (const [key, relationship] of Object.entries(this.#syncedRelationships)) {
+			if (Array.isArray(relationship)) {
+				syncedRelationships[key] = relationship.map((model) => identify(model));
+			} else {
+				syncedRelationships[key] = relationship ? identify(relationship) : null;
+			}
+		}
+		return {
+			isSynced: this.#isSynced,
+			loadedFields: [...this.#loadedFields],
+			syncedAttributes: this.#syncedAttributes,
+			syncedRelationships: syncedRelationships
+		};
+	}
+
+	/**
+	 * Restore state of the last sync from model snapshot, so changes made before the snapshot stay
+	 * unsynced. Mostly used by stores.
+	 *
+	 * @param {ModelSyncState} state State of the last sync.
+	 * @param {(linkage: Linkage) => ?Model} resolveModel Function which returns model of identifier.
+	 *
+	 * @this {IModel}
+	 *
+	 * @ignore
+	 */
+	restoreSyncState(state, resolveModel) {
+		this.#isSynced = state.isSynced;
+		this.#loadedFields = new Set(state.loadedFields);
+		this.#syncedAttributes = structuredClone(state.syncedAttributes);
+		this.#syncedRelationships = {};
+		for (const [key, linkage] of Object.entries(state.syncedRelationships)) {
+			this.#syncedRelationships[key] = Array.isArray(linkage)
+				? linkage.flatMap((identifier) => resolveModel(identifier) ?? [])
+				: linkage && resolveModel(linkage);
+		}
+		this.#recordChange([...this.#attributes], [...this.#relationships]);
+	}
+
+	/**
+	 * Sync record data to model.
+	 *
+	 * @param  {import('./internal.ts').Optional<ResourceObject, "id" | "type">} record Record data to sync.
+	 * @param  {(resource: ResourceObject|Linkage) => ?Model=} modelFactory Model factory.
+	 * @param  {MergeOptions=} options How record is merged into model, overrides options of the type.
+	 *
+	 * @this {IModel}
+	 */
+	sync(record, modelFactory, options) {
+		const merge = resolveMergeOptions(options, this.#schema?.merge);
+		this.#isSynced = true;
+		this.#isSyncing = true;
+		try {
+			this.#syncRecord(this.#inflect(record, 'deserialize'), merge, modelFactory);
+		} finally {
+			this.#isSyncing = false;
+		}
+	}
+
+	/**
+	 * Sync record data to model. Changes of relationships made by sync update inverse
+	 * relationships as synced state.
+	 *
+	 * @param  {import('./internal.ts').Optional<ResourceObject, "id" | "type">} record Record data to sync.
+	 * @param  {ResolvedMergeOptions} merge How record is merged into model.
+	 * @param  {(resource: ResourceObject|Linkage) => ?Model=} modelFactory Model factory.
+	 *
+	 * @this {IModel}
+	 */
+	#syncRecord(record, merge, modelFactory) {
+		this.#batch(() => {
+			// Fields with unsaved changes are collected before sync updates synced state
+			const localChanges =
+				merge.conflicts === 'local'
+					? { ...this.changedAttributes(), ...this.changedRelationships() }
+					: {};
+
+			if (merge.strategy === 'replace') {
+				this.#removeMissingFields(record, localChanges);
+			}
+			this.#syncAttributes(record.attributes ?? {}, localChanges, merge.strategy);
+			this.#syncDefaults();
+			this.#syncLinks(record);
+			this.#syncRelationships(
+				record.relationships ?? {},
+				localChanges,
+				merge.strategy,
+				modelFactory ?? ((resource) => new Model(resource.type, resource.id))
+			);
+		});
+	}
+
+	/**
+	 * Sync attributes of record, keeping values of fields with unsaved changes.
+	 *
+	 * @param {{[x: string]: any}} attributes Synced attributes.
+	 * @param {{[x: string]: any}} keptFields Fields which keep their local value.
+	 * @param {MergeStrategy} strategy Merge strategy.
+	 *
+	 * @this {IModel}
+	 */
+	#syncAttributes(attributes, keptFields, strategy) {
+		for (const [key, attribute] of Object.entries(attributes)) {
+			this.#loadedFields.add(key);
+			if (!Object.hasOwn(keptFields, key)) {
+				this.#mergeAttribute(key, attribute, strategy);
+			}
+			this.#syncedAttributes[key] = structuredClone(attribute);
+		}
+	}
+
+	/**
+	 * Set default values of schema attributes which are still missing as synced values.
+	 *
+	 * @this {IModel}
+	 */
+	#syncDefaults() {
+		for (const [key, attribute] of Object.entries(this.#schema?.attributes ?? {})) {
+			if (attribute.hasDefault && typeof this[key] === 'undefined') {
+				const value =
+					typeof attribute.default === 'function'
+						? attribute.default()
+						: attribute.default;
+				this.setAttribute(key, value);
+				this.#syncedAttributes[key] = structuredClone(this.#serializeAttribute(key, value));
+			}
+		}
+	}
+
+	/**
+	 * Sync links and meta of record.
+	 *
+	 * @param {import('./internal.ts').Optional<ResourceObject, "id" | "type">} record Synced record.
+	 */
+	#syncLinks(record) {
+		if (record.links) {
+			this.#links = record.links;
+			this.links = this.#links;
+		}
+		if (record.meta) {
+			this.#meta = record.meta;
+			this.meta = this.#meta;
+		}
+		if (record.links || record.meta) {
+			this.#recordChange([], []);
+		}
+	}
+
+	/**
+	 * Sync relationships of record, keeping values of fields with unsaved changes.
+	 *
+	 * @param {{[x: string]: Relationship}} relationships Synced relationships.
+	 * @param {{[x: string]: any}} keptFields Fields which keep their local value.
+	 * @param {MergeStrategy} strategy Merge strategy.
+	 * @param {(resource: ResourceObject|Linkage) => ?Model} modelFactory Model factory.
+	 *
+	 * @this {IModel}
+	 */
+	#syncRelationships(relationships, keptFields, strategy, modelFactory) {
+		for (const [key, relationship] of Object.entries(relationships)) {
+			if (typeof relationship.data !== 'undefined') {
+				this.#loadedFields.add(key);
+				const models = this.#resolveLinkage(key, relationship.data, modelFactory);
+				if (!Object.hasOwn(keptFields, key)) {
+					this.#mergeRelationship(key, models, strategy);
+				}
+				this.#syncedRelationships[key] = copyRelationship(models);
+			}
+			if (relationship.links) {
+				this.#relationshipLinks[key] = relationship.links;
+			}
+			if (relationship.meta) {
+				this.#relationshipMeta[key] = relationship.meta;
+			}
+			if (relationship.links || relationship.meta) {
+				this.#recordChange([], [key]);
+			}
+		}
+	}
+
+	/**
+	 * Find or create models of relationship linkage and register this model as their dependent.
+	 *
+	 * @param {string} key The name of the relationship.
+	 * @param {?Linkage|Linkage[]} data Relationship linkage.
+	 * @param {(resource: ResourceObject|Linkage) => ?Model} modelFactory Model factory.
+	 *
+	 * @returns {?Model|Model[]} Linked model(s).
+	 */
+	#resolveLinkage(key, data, modelFactory) {
+		if (data === null) {
+			return null;
+		}
+		const models = [data].flat().flatMap((linkage) => modelFactory(linkage) ?? []);
+		if (this.id) {
+			for (const model of models) {
+				model.addDependence(this.type, this.id, key);
+			}
+		}
+		return Array.isArray(data) ? models : (models[0] ?? null);
+	}
+
+	/**
+	 * Set synced attribute value, resolving it with custom merge strategy when it differs from
+	 * the local value.
+	 *
+	 * @param {string} key The name of the attribute.
+	 * @param {any} attribute Synced attribute value.
+	 * @param {MergeStrategy} strategy Merge strategy.
+	 *
+	 * @this {IModel}
+	 */
+	#mergeAttribute(key, attribute, strategy) {
+		if (
+			this.#attributes.includes(key) &&
+			isDeepEqual(this.#serializeAttribute(key, this[key]), attribute)
+		) {
+			return;
+		}
+		// Value is cloned, so changing it in place doesn't change synced payload
+		const incoming = this.#deserializeAttribute(key, structuredClone(attribute));
+		if (typeof strategy === 'function' && typeof this[key] !== 'undefined') {
+			this.setAttribute(key, strategy(this[key], incoming, key, this));
+		} else {
+			this.setAttribute(key, incoming);
+		}
+	}
+
+	/**
+	 * Set synced relationship value, resolving it with custom merge strategy when it differs from
+	 * the local value.
+	 *
+	 * @param {string} key The name of the relationship.
+	 * @param {?Model|Model[]} models Synced linked model(s).
+	 * @param {MergeStrategy} strategy Merge strategy.
+	 *
+	 * @this {IModel}
+	 */
+	#mergeRelationship(key, models, strategy) {
+		const local = this[key];
+		if (
+			typeof strategy === 'function' &&
+			typeof local !== 'undefined' &&
+			!isSameRelationship(local, models)
+		) {
+			this.#replaceRelationship(key, strategy(local, models, key, this));
+		} else {
+			this.#replaceRelationship(key, models);
+		}
+	}
+
+	/**
+	 * Remove attributes and relationships missing from synced record.
+	 *
+	 * @param {import('./internal.ts').Optional<ResourceObject, "id" | "type">} record Synced record.
+	 * @param {{[x: string]: any}} keptFields Fields which are kept even if missing.
+	 *
+	 * @this {IModel}
+	 */
+	#removeMissingFields(record, keptFields) {
+		const fields = new Set([
+			...this.#attributes,
+			...this.#relationships,
+			...Object.keys(this.#relationshipLinks),
+			...Object.keys(this.#relationshipMeta)
+		]);
+		for (const key of fields) {
+			if (
+				!Object.hasOwn(record.attributes ?? {}, key) &&
+				!Object.hasOwn(record.relationships ?? {}, key) &&
+				!Object.hasOwn(keptFields, key)
+			) {
+				this.#removeField(key);
+			}
+		}
+	}
+
+	/**
+	 * Remove attribute or relationship together with its synced state.
+	 *
+	 * @param {string} key The name of the attribute or relationship.
+	 *
+	 * @this {IModel}
+	 */
+	#removeField(key) {
+		this.#loadedFields.delete(key);
+		delete this.#syncedAttributes[key];
+		delete this.#syncedRelationships[key];
+		delete this.#relationshipLinks[key];
+		delete this.#relationshipMeta[key];
+		if (this.#attributes.includes(key)) {
+			this.#attributes.splice(this.#attributes.indexOf(key), 1);
+			delete this[key];
+			this.#recordChange([key], []);
+			return;
+		}
+		const previous = this[key];
+		if (this.#relationships.includes(key)) {
+			this.#relationships.splice(this.#relationships.indexOf(key), 1);
+			delete this[key];
+			this.#relink(key, previous, null);
+		}
+		this.#recordChange([], [key]);
+		this.#syncInverse(key, previous);
+	}
+}
+
+/**
+ * @param {any} ModelClass
+ */
+function assertModelClass(ModelClass) {
+	if (ModelClass !== Model && !(ModelClass?.prototype instanceof Model)) {
+		throw new TypeError('Expected model class to extend Model.');
+	}
+}
+
+/** @typedef {import('./internal.ts').JSONAPIDocument} JSONAPIDocument */
+/** @typedef {import('./internal.ts').ResourceObject} ResourceObject */
+/** @typedef {import('./internal.ts').JsonApiObject} JsonApiObject */
+/** @typedef {import('./internal.ts').ErrorObject} ErrorObject */
+
+/** @typedef {import('./internal.ts').AtomicResult} AtomicResult */
+/** @typedef {import('./lib/atomic.js').Operation} Operation */
+
+/**
+ * @typedef {object} StoreSyncOptions
+ * @property {Operation[]=} operations Sent Atomic Operations which results are synced.
+ * @property {MergeStrategy=} strategy How synced records are merged into models, overrides strategy of their types. (Default: `merge`).
+ * @property {ConflictStrategy=} conflicts Whether fields with unsaved local changes take the server value or keep the local value. (Default: `server`).
+ *
+ * @typedef {object} StoreOptions
+ * @property {boolean=} strict Validate synced documents and throw `DocumentValidationError` for invalid ones.
+ * @property {((type: string) => string)=} generateLid Function which generates local ids of new models. (Default: random UUID, or counter with random prefix where Web Crypto API is not available).
+ * @property {InflectionOptions=} inflection Conversion of keys and types between API and models.
+ * @property {{[x: string]: number}=} maxModels Maximum number of models kept per type. Least recently used models above it are evicted.
+ *
+ * @typedef {object} GarbageCollectionOptions
+ * @property {(Model|Model[])=} roots Models which are in use, together with all models reachable from them.
+ *
+ * @typedef {(url: string) => Promise<JSONAPIDocument>} Loader
+ */
+
+class Store {
+	/** @type {{[x: string]: {[x: string]: Model}}} */
+	#graph = {};
+
+	/** @type {{[x: string]: {[x: string]: Model}}} */
+	#localGraph = {};
+
+	/** @type {{[x: string]: string[]}} */
+	#order = {};
+
+	/** @type {{[x: string]: Schema}} */
+	#schemas = {};
+
+	/** @type {{[x: string]: Transform}} */
+	#transforms = {};
+
+	/** @type {{[x: string]: typeof Model}} */
+	#models = {};
+
+	#defaultModel = Model;
+
+	/** @type {Set<StoreChangeListener>} */
+	#listeners = new Set();
+
+	#batchDepth = 0;
+
+	/** @type {Map<Model, ModelChange>} */
+	#pendingChanges = new Map();
+
+	#strict = false;
+
+	/** @type {(type: string) => string} */
+	#generateLid = generateLid;
+
+	/** @type {?Inflector} */
+	#inflector = null;
+
+	/** @type {?Loader} */
+	#loader = null;
+
+	/** @type {{[x: string]: Map<IndexKey, ModelIndex>}} */
+	#indexes = {};
+
+	/** @type {{[x: string]: number}} */
+	#maxModels = {};
+
+	/**
+	 * Models by type in order of use, from least recently used.
+	 *
+	 * @type {{[x: string]: Set<Model>}}
+	 */
+	#usage = {};
+
+	/** @type {Set<Model>} */
+	#pinned = new Set();
+
+	/**
+	 * Models with attributes or relationships changed since last sync.
+	 *
+	 * @type {Set<Model>}
+	 */
+	#dirtyModels = new Set();
+
+	/**
+	 * Whether the last eviction left some type over its limit, and no change which could make more
+	 * models evictable was recorded since.
+	 */
+	#evictionBlocked = false;
+
+	#version = 0;
+
+	/** @type {?ImmutableSnapshot} */
+	#immutableSnapshot = null;
+
+	/**
+	 * Models changed since the last immutable snapshot.
+	 *
+	 * @type {Set<Model>}
+	 */
+	#staleModels = new Set();
+
+	/**
+	 * Snapshot of parent store which the last immutable snapshot of fork was created from.
+	 *
+	 * @type {?ImmutableSnapshot}
+	 */
+	#inheritedSnapshot = null;
+
+	/** @type {?Store} */
+	#parent = null;
+
+	/**
+	 * Copies of models of ancestor stores, by the copied model.
+	 *
+	 * @type {Map<Model, Model>}
+	 */
+	#copies = new Map();
+
+	/**
+	 * Models of ancestor stores, by their copy.
+	 *
+	 * @type {Map<Model, Model>}
+	 */
+	#origins = new Map();
+
+	/**
+	 * Models of ancestor stores destroyed in the fork.
+	 *
+	 * @type {Set<Model>}
+	 */
+	#removedModels = new Set();
+
+	/**
+	 * Fields of models created, changed or synced in the fork, by model.
+	 *
+	 * @type {Map<Model, ForkChange>}
+	 */
+	#forkChanges = new Map();
+
+	/**
+	 * @param {StoreOptions=} options Store options.
+	 */
+	constructor(options = {}) {
+		this.#strict = options.strict ?? false;
+		if (options.generateLid) {
+			this.#generateLid = options.generateLid;
+		}
+		if (options.inflection) {
+			this.#inflector = createInflector(options.inflection);
+		}
+		if (options.maxModels) {
+			this.#maxModels = options.maxModels;
+		}
+		// Bound, so they can be passed to `useSyncExternalStore` directly
+		this.subscribe = this.subscribe.bind(this);
+		this.getSnapshot = this.getSnapshot.bind(this);
+	}
+
+	/**
+	 * Subscribe to changes of models in the store. Changes made during single `.sync()`,
+	 * `.destroy()` or `.batch()` call are batched into single notification.
+	 *
+	 * @param {StoreChangeListener} listener Function called with store change.
+	 *
+	 * @returns Function which removes the listener.
+	 */
+	subscribe(listener) {
+		this.#listeners.add(listener);
+		return () => {
+			this.#listeners.delete(listener);
+		};
+	}
+
+	/**
+	 * @overload
+	 * @param {'change'} eventName The name of the event.
+	 * @param {StoreChangeListener} listener Function called with store change.
+	 * @returns {() => void}
+	 */
+	/**
+	 * @overload
+	 * @param {'change'} eventName The name of the event.
+	 * @param {string} type The type of the models to listen for.
+	 * @param {StoreChangeListener} listener Function called with store change.
+	 * @returns {() => void}
+	 */
+	/**
+	 * @overload
+	 * @param {'change'} eventName The name of the event.
+	 * @param {string} type The type of the model to listen for.
+	 * @param {string} id The id of the model to listen for.
+	 * @param {StoreChangeListener} listener Function called with store change.
+	 * @returns {() => void}
+	 */
+	/**
+	 * Subscribe to changes of models in the store, optionally only for models of given type
+	 * and id. Listener is called only if any of the matching models changed.
+	 *
+	 * @param {'change'} eventName The name of the event.
+	 * @param {...(string|StoreChangeListener)} parameters Type, id and listener.
+	 *
+	 * @returns Function which removes the listener.
+	 */
+	on(eventName, ...parameters) {
+		if (eventName !== 'change') {
+			throw new TypeError(`Unknown event "${eventName}".`);
+		}
+		const listener = parameters.pop();
+		const [type, id] = parameters;
+		if (typeof listener !== 'function') {
+			throw new TypeError('Expected listener to be a function.');
+		}
+		return this.subscribe((event) => {
+			const changes = event.changes.filter(({ model }) => {
+				return (
+					(typeof type === 'undefined' || model.type === type) &&
+					(typeof id === 'undefined' || model.id === id)
+				);
+			});
+			if (changes.length !== 0) {
+				listener(createStoreChange(changes));
+			}
+		});
+	}
+
+	/**
+	 * Run callback and notify listeners about all changes made during it at once.
+	 *
+	 * @template T
+	 * @param {() => T} callback Function which changes the store.
+	 *
+	 * @returns Result of the callback.
+	 */
+	batch(callback) {
+		this.#batchDepth += 1;
+		try {
+			return callback();
+		} finally {
+			this.#batchDepth -= 1;
+			if (this.#batchDepth === 0) {
+				this.#flush();
+			}
+		}
+	}
+
+	/**
+	 * Record model change and notify listeners if not in batch.
+	 *
+	 * @param {ModelChange} change The model change.
+	 */
+	#recordChange(change) {
+		if (this.#parent) {
+			this.#recordForkChange(change);
+		}
+		const pendingChange = this.#pendingChanges.get(change.model);
+		this.#pendingChanges.set(
+			change.model,
+			pendingChange ? mergeChange(pendingChange, change) : change
+		);
+		this.#updateIndexes(change);
+		this.#updateDirtyModel(change.model, change.kind === 'destroyed');
+		// Added and removed models and changed links can make other models evictable
+		if (change.kind !== 'updated' || change.relationships.length !== 0) {
+			this.#evictionBlocked = false;
+		}
+		if (this.#batchDepth === 0) {
+			this.#flush();
+		}
+	}
+
+	/**
+	 * Record fields changed in the fork, which are applied to the parent store on commit.
+	 *
+	 * @param {ModelChange} change The model change.
+	 * @param {boolean=} links Whether links and meta of the model changed.
+	 */
+	#recordForkChange(change, links = false) {
+		const forkChange = this.#forkChanges.get(change.model);
+		this.#forkChanges.set(change.model, {
+			...(forkChange ? mergeChange(forkChange, change) : change),
+			links: links || (forkChange?.links ?? false)
+		});
+	}
+
+	/**
+	 * Update set of dirty models with changed or synced model. Eviction is attempted again when
+	 * the model stops or starts being dirty.
+	 *
+	 * @param {Model} model The model.
+	 * @param {boolean=} isDestroyed Whether the model was removed from the store.
+	 */
+	#updateDirtyModel(model, isDestroyed = false) {
+		const isDirty = !isDestroyed && model.isDirty;
+		if (isDirty === this.#dirtyModels.has(model)) {
+			return;
+		}
+		if (isDirty) {
+			this.#dirtyModels.add(model);
+		} else {
+			this.#dirtyModels.delete(model);
+		}
+		this.#evictionBlocked = false;
+	}
+
+	/**
+	 * Update indexes of changed model.
+	 *
+	 * @param {ModelChange} change The model change.
+	 */
+	#updateIndexes(change) {
+		const indexes = this.#indexes[change.model.type]?.values() ?? [];
+		for (const index of indexes) {
+			if (change.kind === 'destroyed') {
+				index.remove(change.model);
+			} else {
+				index.update(change.model);
+			}
+		}
+	}
+
+	#flush() {
+		// Evicted models are destroyed within the same notification
+		this.#batchDepth += 1;
+		try {
+			this.#evictModels();
+		} finally {
+			this.#batchDepth -= 1;
+		}
+		if (this.#pendingChanges.size === 0) {
+			return;
+		}
+		const changes = [...this.#pendingChanges.values()];
+		this.#pendingChanges.clear();
+		const indexError = this.#checkIndexes(changes);
+		this.#version += 1;
+		if (this.#immutableSnapshot) {
+			for (const change of changes) {
+				this.#staleModels.add(change.model);
+			}
+		}
+		for (const change of changes) {
+			change.model.notify(change);
+		}
+		const event = createStoreChange(changes);
+		for (const listener of this.#listeners) {
+			listener(event);
+		}
+		// Changes are applied and notified as a whole, error only reports the duplicate
+		if (indexError) {
+			throw indexError;
+		}
+	}
+
+	/**
+	 * Check unique indexes of changed models once changes are applied, so models can swap values
+	 * within one batch.
+	 *
+	 * @param {ModelChange[]} changes The applied changes.
+	 *
+	 * @returns {?Error} Error for the first duplicate value.
+	 */
+	#checkIndexes(changes) {
+		for (const { model, kind } of changes) {
+			const indexes = kind === 'destroyed' ? [] : (this.#indexes[model.type]?.values() ?? []);
+			for (const index of indexes) {
+				try {
+					index.check(model);
+				} catch (error) {
+					return /** @type {Error} */ (error);
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Register custom transform which can be used in schema definitions.
+	 *
+	 * @param {string} name The name of the transform.
+	 * @param {Transform} transform Functions which convert value received from and sent to API.
+	 */
+	registerTransform(name, transform) {
+		this.#transforms[name] = transform;
+	}
+
+	/**
+	 * Register model class used for models of given type. Class needs to extend `Model` and is
+	 * used only for models created after registration.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {typeof Model} ModelClass The model class.
+	 */
+	registerModel(type, ModelClass) {
+		assertModelClass(ModelClass);
+		this.#models[type] = ModelClass;
+	}
+
+	/**
+	 * Register model class used for models of types without registered model class. Class needs
+	 * to extend `Model` and is used only for models created after registration.
+	 *
+	 * @param {typeof Model} ModelClass The model class.
+	 */
+	registerDefaultModel(ModelClass) {
+		assertModelClass(ModelClass);
+		this.#defaultModel = ModelClass;
+	}
+
+	/**
+	 * Define schema for models of given type. Attributes are converted with their transforms when
+	 * synced and serialized, and missing attributes get their default values when synced.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {SchemaDefinition} definition Attribute and relationship definitions.
+	 */
+	define(type, definition) {
+		const schema = createSchema(definition, this.#transforms);
+		this.#schemas[type] = schema;
+		for (const model of this.findAll(type)) {
+			model.setSchema(schema);
+		}
+	}
+
+	/**
+	 * Remove a model from the store.
+	 *
+	 * @param {?Model} model The model to destroy.
+	 */
+	destroy(model) {
+		if (!model) {
+			return;
+		}
+		const typeInOrder = this.#order[model.type];
+		const typeInGraph = this.#graph[model.type];
+		if (typeof model.id === 'undefined') {
+			this.#destroyLocalModel(model);
+			return;
+		}
+		const id = model.id;
+		const origin = this.#origins.get(model);
+		if (origin) {
+			this.#removedModels.add(origin);
+		}
+		this.batch(() => {
+			model.unlinkDependence((dependent) => {
+				// eslint-disable-next-line unicorn/no-array-method-this-argument
+				return this.find(dependent.type, dependent.id);
+			});
+			delete typeInGraph?.[id];
+			typeInOrder?.splice(typeInOrder.indexOf(id), 1);
+			this.#usage[model.type]?.delete(model);
+			this.#pinned.delete(model);
+			model.observe(null);
+			this.#recordChange(createChange(model, 'destroyed'));
+		});
+	}
+
+	/**
+	 * Remove model which is not yet created on the server from the store.
+	 *
+	 * @param {Model} model The model to destroy.
+	 */
+	#destroyLocalModel(model) {
+		const typeInLocalGraph = this.#localGraph[model.type];
+		const typeInOrder = this.#order[model.type];
+		if (typeof model.lid === 'undefined' || typeInLocalGraph?.[model.lid] !== model) {
+			return;
+		}
+		const lid = model.lid;
+		const origin = this.#origins.get(model);
+		if (origin) {
+			this.#removedModels.add(origin);
+		}
+		delete typeInLocalGraph[lid];
+		typeInOrder?.splice(typeInOrder.indexOf(lid), 1);
+		this.#pinned.delete(model);
+		model.observe(null);
+		this.#recordChange(createChange(model, 'destroyed'));
+	}
+
+	/**
+	 * Retrieve a model which is not yet created on the server by type and local id.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {string} lid The local id of the model.
+	 *
+	 * @returns The corresponding model if present, and `null` otherwise.
+	 */
+	findByLid(type, lid) {
+		return this.#localGraph[type]?.[lid] ?? this.#adopt(type, lid, true);
+	}
+
+	/**
+	 * Retrieve a model by type and id. Constant-time lookup.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {string} id The id of the model.
+	 *
+	 * @returns The corresponding model if present, and `null` otherwise.
+	 */
+	find(type, id) {
+		const model = this.#graph?.[type]?.[id] ?? this.#adopt(type, id, false);
+		if (model) {
+			this.#touch(model);
+		}
+		return model;
+	}
+
+	/**
+	 * Retrieve all models by type.
+	 *
+	 * @param {string} type The type of the model.
+	 *
+	 * @returns Array of the corresponding model if present, and empty array otherwise.
+	 */
+	findAll(type) {
+		for (const model of this.#lookupAllInParent(type)) {
+			this.#copy(model);
+		}
+		return this.#findOwn(type);
+	}
+
+	/**
+	 * Retrieve models by type which belong to this store, without models of ancestor stores.
+	 *
+	 * @param {string} type The type of the model.
+	 *
+	 * @returns {Model[]}
+	 */
+	#findOwn(type) {
+		/** @type {Model[]}*/
+		const models = [];
+		for (const key of this.#order[type] ?? []) {
+			const model = this.#graph[type]?.[key] ?? this.#localGraph[type]?.[key];
+			if (model) {
+				models.push(model);
+			}
+		}
+		return models;
+	}
+
+	/**
+	 * Create index of models by attribute or computed value, so `.findBy()` and `.findAllBy()`
+	 * don't scan all models of the type. Index is kept up to date as models are synced, changed
+	 * and destroyed. Unique index throws when more than one model has the same value once the
+	 * change, batch or sync is applied.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {IndexKey} key Name of the attribute or function which computes value of the model.
+	 * @param {IndexOptions=} options Index options.
+	 */
+	createIndex(type, key, options) {
+		const index = createModelIndex(type, key, options);
+		const models = this.findAll(type);
+		for (const model of models) {
+			index.update(model);
+		}
+		for (const model of models) {
+			index.check(model);
+		}
+		this.#indexes[type] ??= new Map();
+		this.#indexes[type].set(key, index);
+	}
+
+	/**
+	 * @param {string} type
+	 * @param {IndexKey} key
+	 */
+	#getIndex(type, key) {
+		const index = this.#indexes[type]?.get(key);
+		if (!index) {
+			const name = typeof key === 'function' ? key.name || 'computed' : key;
+			throw new Error(
+				`Expected index "${name}" of "${type}" models, create it with \`.createIndex()\`.`
+			);
+		}
+		return index;
+	}
+
+	/**
+	 * Retrieve first model by type which has given value in index.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {IndexKey} key Name of the attribute or function the index was created with.
+	 * @param {any} value The value to look for.
+	 *
+	 * @returns The corresponding model or `null`.
+	 */
+	findBy(type, key, value) {
+		const [model = null] = this.#getIndex(type, key).get(value);
+		return model;
+	}
+
+	/**
+	 * Retrieve all models by type which have given value in index.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {IndexKey} key Name of the attribute or function the index was created with.
+	 * @param {any} value The value to look for.
+	 *
+	 * @returns Array of the corresponding models.
+	 */
+	findAllBy(type, key, value) {
+		return this.#getIndex(type, key).get(value);
+	}
+
+	/**
+	 * Retrieve immutable snapshot of all models in the store. Snapshot is replaced only after
+	 * change notification, and records of models which did not change are shared with the previous
+	 * snapshot, as are records of types without changes. Use it with `.subscribe()` as external
+	 * store of view libraries, like `useSyncExternalStore` of React.
+	 *
+	 * @returns {ImmutableSnapshot} Frozen records by type and id.
+	 */
+	getSnapshot() {
+		const inherited = this.#lookupSnapshotInParent();
+		// Fork shares records of its parent, so its version grows with version of the parent too
+		const version = this.#version + (inherited?.version ?? 0);
+		const previous = this.#immutableSnapshot;
+		if (previous?.version === version) {
+			return previous;
+		}
+		const previousInherited = this.#inheritedSnapshot;
+		this.#inheritedSnapshot = inherited;
+		const staleModels = this.#staleModels;
+		const staleTypes = new Set([...staleModels].map((model) => model.type));
+		this.#staleModels = new Set();
+
+		/** @type {{[x: string]: ImmutableSnapshot['types'][string]}} */
+		const types = {};
+		const typeNames = new Set([
+			...Object.keys(inherited?.types ?? {}),
+			...Object.keys(this.#order)
+		]);
+		for (const type of typeNames) {
+			const previousRecords = previous?.types[type];
+			const inheritedRecords = inherited?.types[type];
+			const isUnchanged =
+				!staleTypes.has(type) && inheritedRecords === previousInherited?.types[type];
+			types[type] =
+				previousRecords && isUnchanged
+					? previousRecords
+					: this.#createRecords(type, {
+							inheritedRecords: inheritedRecords ?? {},
+							previousRecords: previousRecords ?? {},
+							staleModels: staleModels,
+							version: version
+						});
+		}
+		this.#immutableSnapshot = Object.freeze({
+			version: version,
+			types: Object.freeze(types)
+		});
+		return this.#immutableSnapshot;
+	}
+
+	/**
+	 * Create records of models by type. Records of parent store are shared for models which fork
+	 * didn't copy or destroy, and previous records are reused for models which didn't change.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {object} context Records to share and version of the snapshot.
+	 * @param {ImmutableSnapshot['types'][string]} context.inheritedRecords Records of the parent store.
+	 * @param {ImmutableSnapshot['types'][string]} context.previousRecords Records of the previous snapshot.
+	 * @param {Set<Model>} context.staleModels Models changed since the previous snapshot.
+	 * @param {number} context.version Version of the snapshot.
+	 *
+	 * @returns {ImmutableSnapshot['types'][string]}
+	 */
+	#createRecords(type, { inheritedRecords, previousRecords, staleModels, version }) {
+		const replacedKeys = new Set(
+			[...this.#copies.keys(), ...this.#removedModels]
+				.filter((origin) => origin.type === type)
+				.map((origin) => origin.id ?? origin.lid)
+		);
+		/** @type {{[x: string]: Readonly<ImmutableRecord>}} */
+		const records = {};
+		for (const [key, record] of Object.entries(inheritedRecords)) {
+			if (!replacedKeys.has(key)) {
+				records[key] = record;
+			}
+		}
+		for (const model of this.#findOwn(type)) {
+			const key = /** @type {string} */ (model.id ?? model.lid);
+			const previousRecord = previousRecords[key];
+			records[key] =
+				previousRecord && !staleModels.has(model)
+					? previousRecord
+					: deepFreeze({ ...model.toRecord(), version });
+		}
+		return Object.freeze(records);
+	}
+
+	/**
+	 * Retrieve models by type which satisfy query conditions.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {QueryOptions=} options Query conditions, sorting and pagination.
+	 *
+	 * @returns Array of the corresponding models, in order of insertion if sorting is not defined.
+	 */
+	query(type, options) {
+		const { where, sort, limit, offset = 0 } = options ?? {};
+		let models = this.findAll(type);
+		if (where) {
+			models = models.filter(createPredicate(where));
+		}
+		if (sort) {
+			models.sort(createComparator(sort));
+		}
+		if (typeof limit === 'undefined') {
+			return models.slice(offset);
+		}
+		return models.slice(offset, offset + limit);
+	}
+
+	/**
+	 * Empty the store.
+	 */
+	reset() {
+		delete this.meta;
+		delete this.links;
+		delete this.jsonapi;
+		delete this.errors;
+
+		const graphs = [this.#graph, this.#localGraph];
+
+		this.#graph = {};
+		this.#localGraph = {};
+		this.#order = {};
+		this.#usage = {};
+		this.#pinned.clear();
+		this.#dirtyModels.clear();
+
+		this.batch(() => {
+			for (const typeInGraph of graphs.flatMap((graph) => Object.values(graph))) {
+				for (const model of Object.values(typeInGraph)) {
+					model.observe(null);
+					this.#recordChange(createChange(model, 'destroyed'));
+				}
+			}
+		});
+	}
+
+	/**
+	 * Keep the model in the store regardless of garbage collection and eviction. Models reachable
+	 * from pinned model through relationships are kept too.
+	 *
+	 * @param {Model} model The model.
+	 */
+	pin(model) {
+		this.#pinned.add(model);
+	}
+
+	/**
+	 * Allow garbage collection and eviction of the pinned model again.
+	 *
+	 * @param {Model} model The model.
+	 */
+	unpin(model) {
+		this.#pinned.delete(model);
+		this.#evictionBlocked = false;
+	}
+
+	/**
+	 * Remove models which are not reachable through relationships from given roots, pinned models,
+	 * models not yet created on the server and models with unsaved changes.
+	 *
+	 * @param {GarbageCollectionOptions=} options Garbage collection options.
+	 *
+	 * @returns {Model[]} Removed models.
+	 */
+	gc(options = {}) {
+		const models = Object.values(this.#graph).flatMap((typeInGraph) =>
+			Object.values(typeInGraph)
+		);
+		const reachable = this.#collectReachable([options.roots ?? []].flat());
+		const removed = models.filter((model) => !reachable.has(model));
+		this.batch(() => {
+			for (const model of removed) {
+				this.#evict(model);
+			}
+			this.#pruneOrder([...new Set(removed.map((model) => model.type))]);
+		});
+		return removed;
+	}
+
+	/**
+	 * Collect models reachable through relationships from given roots, pinned models, models not
+	 * yet created on the server and models with unsaved changes.
+	 *
+	 * @param {Model[]} roots Additional models to start from.
+	 *
+	 * @returns {Set<Model>} Reachable models, including the starting ones.
+	 */
+	#collectReachable(roots) {
+		const localModels = Object.values(this.#localGraph).flatMap((typeInLocalGraph) =>
+			Object.values(typeInLocalGraph)
+		);
+		const queue = [...roots, ...this.#pinned, ...localModels, ...this.#dirtyModels];
+		/** @type {Set<Model>} */
+		const reachable = new Set();
+		while (queue.length !== 0) {
+			const model = /** @type {Model} */ (queue.pop());
+			if (!reachable.has(model)) {
+				reachable.add(model);
+				queue.push(...model.relatedModels());
+			}
+		}
+		return reachable;
+	}
+
+	/**
+	 * Evict least recently used models of types which have more models than allowed. Models which
+	 * garbage collection keeps and models linked from other models are kept.
+	 */
+	#evictModels() {
+		const types = Object.entries(this.#maxModels)
+			.filter(([type, maxModels]) => (this.#usage[type]?.size ?? 0) > maxModels)
+			.map(([type]) => type);
+		if (types.length === 0 || this.#evictionBlocked) {
+			return;
+		}
+		// Local changes don't register dependents, so models reachable from them are collected
+		const reachable = this.#collectReachable([]);
+		const blockedTypes = types.filter((type) => !this.#evictType(type, reachable));
+		this.#pruneOrder(types);
+		// Evicted models are recorded as changes, so the result is kept only after they are
+		this.#evictionBlocked = blockedTypes.length !== 0;
+	}
+
+	/**
+	 * Evict least recently used models of the type until it has allowed number of models.
+	 *
+	 * @param {string} type The type of the models.
+	 * @param {Set<Model>} reachable Models which are kept.
+	 *
+	 * @returns Whether enough models were evicted.
+	 */
+	#evictType(type, reachable) {
+		const usage = this.#usage[type] ?? new Set();
+		let excess = usage.size - (this.#maxModels[type] ?? usage.size);
+		for (const model of usage) {
+			if (excess === 0) {
+				break;
+			}
+			if (!reachable.has(model) && this.#isEvictable(model)) {
+				this.#evict(model);
+				excess -= 1;
+			}
+		}
+		return excess === 0;
+	}
+
+	/**
+	 * @param {Model} model
+	 */
+	#isEvictable(model) {
+		return !model.dependents().some((dependent) => {
+			const dependentModel = this.#graph[dependent.type]?.[dependent.id];
+			return dependentModel?.relatedModels().includes(model) ?? false;
+		});
+	}
+
+	/**
+	 * Remove model from the store without unlinking it from its dependents, which are expected to
+	 * be removed too. Order is pruned by the caller once all models are removed.
+	 *
+	 * @param {Model} model The model to remove.
+	 */
+	#evict(model) {
+		const { type, id } = model;
+		if (typeof id === 'undefined') {
+			return;
+		}
+		model.unlinkRelationships();
+		delete this.#graph[type]?.[id];
+		this.#usage[type]?.delete(model);
+		model.observe(null);
+		this.#recordChange(createChange(model, 'destroyed'));
+	}
+
+	/**
+	 * Remove ids of models which are no longer in the store from order of given types, in one pass
+	 * per type.
+	 *
+	 * @param {string[]} types Types of removed models.
+	 */
+	#pruneOrder(types) {
+		for (const type of types) {
+			const typeInOrder = this.#order[type];
+			if (typeInOrder) {
+				this.#order[type] = typeInOrder.filter(
+					(id) => this.#graph[type]?.[id] ?? this.#localGraph[type]?.[id]
+				);
+			}
+		}
+	}
+
+	/**
+	 * Mark model as most recently used.
+	 *
+	 * @param {Model} model The model.
+	 */
+	#touch(model) {
+		this.#usage[model.type] ??= new Set();
+		const usage = this.#usage[model.type];
+		usage?.delete(model);
+		usage?.add(model);
+	}
+
+	/**
+	 * Initialize model. Model without id is not yet created on the server and gets generated local
+	 * id (`lid`) instead.
+	 *
+	 * @param  {string} type The type of the model.
+	 * @param  {string=} id The id of the model.
+	 *
+	 * @returns New model.
+	 */
+	initModel(type, id) {
+		if (typeof id === 'undefined') {
+			return this.#initLocalModel(type, this.#generateLid(type));
+		}
+		this.#graph[type] ??= {};
+		this.#order[type] ??= [];
+
+		const typeInGraph = this.#graph[type];
+		const typeInOrder = this.#order[type];
+
+		let model = typeInGraph?.[id] ?? this.#adopt(type, id, false);
+
+		if (!model) {
+			const ModelClass = this.#models[type] ?? this.#defaultModel;
+			model = new ModelClass(type, id);
+			this.#register(model);
+			if (typeInGraph) {
+				typeInGraph[id] = model;
+			}
+		}
+		if (!typeInOrder) {
+			return model;
+		}
+
+		const currentOrderIndex = typeInOrder.indexOf(id);
+
+		if (currentOrderIndex === -1) {
+			typeInOrder.push(id);
+		} else {
+			// Remove the id from the current order and add it to the bottom
+			typeInOrder.splice(currentOrderIndex, 1);
+			typeInOrder.push(id);
+		}
+		this.#touch(model);
+		return model;
+	}
+
+	/**
+	 * List fields which are needed for a view but were not loaded. Relationships listed in fields
+	 * are followed to check fields of related models as well.
+	 *
+	 * @param {Model|Model[]} models Models displayed in the view.
+	 * @param {{[x: string]: string[]}} fields Fields needed for the view, grouped by type.
+	 *
+	 * @returns {{[x: string]: string[]}} Missing fields grouped by type, same as sparse fieldsets.
+	 */
+	missingFields(models, fields) {
+		/** @type {{[x: string]: string[]}} */
+		const missing = {};
+		const visited = new Set();
+		const queue = [models].flat();
+		while (queue.length !== 0) {
+			const model = /** @type {IModel} */ (queue.shift());
+			if (!visited.has(model)) {
+				visited.add(model);
+				for (const field of fields[model.type] ?? []) {
+					if (model.isLoaded(field)) {
+						queue.push(
+							...[model[field]].flat().filter((value) => value instanceof Model)
+						);
+					} else {
+						missing[model.type] ??= [];
+						if (!missing[model.type]?.includes(field)) {
+							missing[model.type]?.push(field);
 						}
 					}
-					result.data = identifiers;
-				} else {
-					result.data = relationshipIdentifier(relationship);
-				}
-				if (this.#relationshipLinks[key]) {
-					result.links = this.#relationshipLinks[key];
-				}
-				if (this.#relationshipMeta[key]) {
-					result.meta = this.#relationshipMeta[key];
 				}
-				response.data.relationships[key] = result;
 			}
 		}
+		return missing;
+	}
 
-		if (Object.keys(this.#links).length !== 0) {
-			if (typeof links === 'undefined') {
-				response.data.links = this.#links;
-			} else if (Array.isArray(links) && links.length !== 0) {
-				response.data.links = {};
-				for (const key of links) {
-					// @ts-ignore
-					response.data.links[key] = this.#links[key];
+	/**
+	 * Initialize model which is not yet created on the server.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {string} lid The local id of the model.
+	 *
+	 * @returns {Model}
+	 */
+	#initLocalModel(type, lid) {
+		this.#localGraph[type] ??= {};
+		this.#order[type] ??= [];
+		let model = this.#localGraph[type]?.[lid] ?? this.#adopt(type, lid, true);
+		if (!model) {
+			const ModelClass = this.#models[type] ?? this.#defaultModel;
+			model = new ModelClass(type);
+			model.lid = lid;
+			this.#register(model);
+			this.#localGraph[type] ??= {};
+			this.#localGraph[type][lid] = model;
+			this.#order[type]?.push(lid);
+		}
+		return model;
+	}
+
+	/**
+	 * Observe changes of the model added to the store.
+	 *
+	 * @param {Model} model The model.
+	 */
+	#register(model) {
+		this.#observe(model);
+		this.#recordChange(createChange(model, 'created'));
+	}
+
+	/**
+	 * Set up the model to belong to the store.
+	 *
+	 * @param {Model} model The model.
+	 */
+	#observe(model) {
+		model.setSchema(this.#schemas[model.type] ?? null);
+		model.setInflector(this.#inflector);
+		model.setLoader((relationshipModel, name) =>
+			this.#loadRelationship(relationshipModel, name)
+		);
+		model.observe((change) => {
+			this.#recordChange(change);
+		});
+	}
+
+	/**
+	 * Assign id received from the server to the model. Model which is kept by its local id is
+	 * re-keyed in place, so it keeps its position and all references to it.
+	 *
+	 * @param {Model} model The model.
+	 * @param {string} id The id of the model.
+	 */
+	#assignId(model, id) {
+		const { type, lid } = model;
+		this.#graph[type] ??= {};
+		this.#order[type] ??= [];
+		const typeInGraph = this.#graph[type];
+		const typeInOrder = this.#order[type];
+		const typeInLocalGraph = this.#localGraph[type];
+		model.id = id;
+		if (typeInGraph) {
+			typeInGraph[id] = model;
+		}
+		this.#touch(model);
+		if (typeof lid !== 'undefined' && typeInLocalGraph?.[lid] === model) {
+			delete typeInLocalGraph[lid];
+			typeInOrder?.splice(typeInOrder.indexOf(lid), 1, id);
+			this.#markLinkingModelsStale(model);
+			this.#recordChange(createChange(model, 'updated'));
+		} else {
+			this.#register(model);
+			typeInOrder?.push(id);
+		}
+	}
+
+	/**
+	 * Mark models linking to the model as stale, since their snapshot records identify it by local
+	 * id until they are recreated.
+	 *
+	 * @param {Model} model The model which got id.
+	 */
+	#markLinkingModelsStale(model) {
+		if (!this.#immutableSnapshot) {
+			return;
+		}
+		const models = [this.#graph, this.#localGraph].flatMap((graph) =>
+			Object.values(graph).flatMap((typeInGraph) => Object.values(typeInGraph))
+		);
+		for (const linkingModel of models) {
+			if (linkingModel.relatedModels().includes(model)) {
+				this.#staleModels.add(linkingModel);
+			}
+		}
+	}
+
+	/**
+	 * Resolve local id of the resource. Model kept by local id gets id of the resource when it has
+	 * one.
+	 *
+	 * @param {ResourceObject|Linkage} resource The resource object or resource identifier.
+	 *
+	 * @returns Model kept by local id if resource has no id, and `null` otherwise.
+	 */
+	#resolveLocalModel(resource) {
+		const { type, id, lid } = resource;
+		if (typeof lid === 'undefined') {
+			return null;
+		}
+		if (typeof id === 'undefined') {
+			return this.#initLocalModel(type, lid);
+		}
+		const localModel = this.findByLid(type, lid);
+		// eslint-disable-next-line unicorn/no-array-method-this-argument
+		if (localModel && !this.find(type, id)) {
+			this.#assignId(localModel, id);
+		}
+		return null;
+	}
+
+	/**
+	 * Sync record data to model.
+	 *
+	 * @param  {ResourceObject} record Record data to sync.
+	 * @param  {MergeOptions=} options How record is merged into model, overrides options of the type.
+	 *
+	 * @returns {Model} The synced model.
+	 */
+	syncRecord(record, options) {
+		return this.batch(() => {
+			const resource = { ...record, type: this.#deserializeType(record.type) };
+			/** @type {IModel} */
+			const model =
+				this.#resolveLocalModel(resource) ?? this.initModel(resource.type, resource.id);
+
+			const findOrInit = (/** @type {ResourceObject|Linkage} */ related) => {
+				const localModel = this.#resolveLocalModel(related);
+				if (localModel || typeof related.id === 'undefined') {
+					return localModel;
 				}
+				// eslint-disable-next-line unicorn/no-array-method-this-argument
+				const foundModel = this.find(related.type, related.id);
+				return foundModel ?? this.initModel(related.type, related.id);
+			};
+
+			model.sync(record, findOrInit, options);
+			// Sync which doesn't change values still changes state of the last sync
+			this.#updateDirtyModel(model);
+			if (this.#parent) {
+				this.#recordForkSync(model, record);
 			}
-		}
+			return model;
+		});
+	}
 
-		if (Object.keys(this.#meta).length !== 0) {
-			if (typeof meta === 'undefined') {
-				response.data.meta = this.#meta;
-			} else if (Array.isArray(meta) && meta.length !== 0) {
-				response.data.meta = {};
-				for (const key of meta) {
-					response.data.meta[key] = this.#meta[key];
+	/**
+	 * Record fields synced in the fork, which are committed even if their value didn't change,
+	 * since their synced state did.
+	 *
+	 * @param {Model} model The synced model.
+	 * @param {ResourceObject} record The synced record.
+	 */
+	#recordForkSync(model, record) {
+		const deserializeKeys = (/** @type {{[x: string]: any}} */ fields) =>
+			Object.keys(fields).map((key) =>
+				this.#inflector ? this.#inflector.deserializeKey(key) : key
+			);
+		const change = createChange(
+			model,
+			'updated',
+			deserializeKeys(record.attributes ?? {}),
+			deserializeKeys(record.relationships ?? {})
+		);
+		this.#recordForkChange(change, Boolean(record.links ?? record.meta));
+	}
+
+	/**
+	 * Convert type received from API into type of models.
+	 *
+	 * @param {string} type The type received from API.
+	 */
+	#deserializeType(type) {
+		return this.#inflector ? this.#inflector.deserializeType(type) : type;
+	}
+
+	/**
+	 * Sync error payload received for the request and map its errors onto models sent in the
+	 * request. Errors are matched with `source.pointer`, e.g. `/data/attributes/title` for single
+	 * model or `/data/1/attributes/title` for list of models.
+	 *
+	 * @param {JSONAPIDocument} payload The JSON API error payload.
+	 * @param {Model|Model[]} models Model or list of models sent as primary data.
+	 */
+	syncErrors(payload, models) {
+		this.batch(() => {
+			this.sync(payload);
+			const errors = payload.errors ?? [];
+			if (Array.isArray(models)) {
+				for (const [index, model] of models.entries()) {
+					model.setErrors(errors, `/data/${index}`);
 				}
+			} else {
+				models.setErrors(errors);
 			}
-		}
+		});
+	}
 
-		return response;
+	/**
+	 * Convert model into plain object with nested related models.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {string} id The id of the model.
+	 * @param {DenormalizeOptions=} options Relationships to nest, maximum depth and cycle strategy.
+	 *
+	 * @returns Plain object if model is present, and `null` otherwise.
+	 */
+	denormalize(type, id, options) {
+		// eslint-disable-next-line unicorn/no-array-method-this-argument
+		return this.find(type, id)?.toPlainObject(options) ?? null;
 	}
 
 	/**
-	 * Sync record data to model.
+	 * Serialize models into compound document. Related models are serialized into `included` once,
+	 * following given relationship paths.
 	 *
-	 * @param  {import('./internal.ts').Optional<ResourceObject, "id" | "type">} record Record data to sync.
-	 * @param  {(resource: ResourceObject|Linkage) => ?Model=} modelFactory Model factory.
+	 * @param {Model|Model[]} models Model or list of models serialized as primary data.
+	 * @param {ModelSerializeOptions=} options The options for serialization of primary data.
 	 *
-	 * @this {IModel}
+	 * @returns JSON API compliant document.
 	 */
-	sync(record, modelFactory) {
-		if (record.attributes) {
-			for (const [key, attribute] of Object.entries(record.attributes)) {
-				this.setAttribute(key, attribute);
+	serializeDocument(models, options = {}) {
+		const { include, ...serializeOptions } = options;
+		const primaryModels = [models].flat();
+		const data = primaryModels.map(
+			(model) => /** @type {ResourceObject} */ (model.serialize(serializeOptions).data)
+		);
+		/** @type {JSONAPIDocument} */
+		const document = { data: Array.isArray(models) ? data : data[0] };
+		if (include) {
+			const included = collectIncluded(primaryModels, include);
+			if (included.length !== 0) {
+				document.included = included.map(
+					(model) => /** @type {ResourceObject} */ (model.serialize().data)
+				);
 			}
 		}
+		return document;
+	}
 
-		if (record.links) {
-			this.#links = record.links;
-			this.links = this.#links;
+	/**
+	 * Create plain JSON snapshot of all models and top level properties in the store.
+	 *
+	 * @returns Store snapshot.
+	 */
+	snapshot() {
+		/** @type {StoreSnapshot} */
+		const snapshot = {
+			version: 1,
+			order: structuredClone(this.#order),
+			...this.#snapshotModels()
+		};
+		if (typeof this.meta !== 'undefined') {
+			snapshot.meta = structuredClone(this.meta);
 		}
-
-		if (record.meta) {
-			this.#meta = record.meta;
-			this.meta = this.#meta;
+		if (typeof this.links !== 'undefined') {
+			snapshot.links = structuredClone(this.links);
+		}
+		if (typeof this.jsonapi !== 'undefined') {
+			snapshot.jsonapi = structuredClone(this.jsonapi);
 		}
+		if (typeof this.errors !== 'undefined') {
+			snapshot.errors = structuredClone(this.errors);
+		}
+		return snapshot;
+	}
 
-		if (record.relationships) {
-			modelFactory ??= (resource) => {
-				return new Model(resource.type, resource.id);
-			};
-			for (const [key, relationship] of Object.entries(record.relationships)) {
-				let relationshipValue;
-				if (typeof relationship.data !== 'undefined') {
-					if (relationship.data === null) {
-						relationshipValue = null;
-					} else if (Array.isArray(relationship.data)) {
-						const relationshipModels = [];
-						for (const relation of relationship.data) {
-							const model = modelFactory(relation);
-							if (model) {
-								relationshipModels.push(model);
-							}
-						}
-						relationshipValue = relationshipModels;
-						for (const relationshipModel of relationshipModels) {
-							if (this.id) {
-								relationshipModel?.addDependence(this.type, this.id, key);
-							}
-						}
-					} else {
-						const relationshipModel = modelFactory(relationship.data);
-						relationshipValue = relationshipModel;
-						if (this.id) {
-							relationshipModel?.addDependence(this.type, this.id, key);
-						}
-					}
-					this.setRelationship(key, relationshipValue);
-				}
-				if (relationship.links) {
-					this.#relationshipLinks[key] = relationship.links;
-				}
-				if (relationship.meta) {
-					this.#relationshipMeta[key] = relationship.meta;
+	/**
+	 * Create snapshots of all models in order, keyed by their type and id or local id.
+	 */
+	#snapshotModels() {
+		/** @type {Pick<Required<StoreSnapshot>, 'records' | 'dependents' | 'states'>} */
+		const snapshot = { records: [], dependents: {}, states: {} };
+		for (const type of Object.keys(this.#order)) {
+			for (const model of this.findAll(type)) {
+				const { record, dependents, state } = model.snapshot();
+				const key = record.id ?? record.lid;
+				snapshot.records.push(record);
+				snapshot.states[type] ??= {};
+				snapshot.states[type][key] = state;
+				if (dependents.length !== 0) {
+					snapshot.dependents[type] ??= {};
+					snapshot.dependents[type][key] = dependents;
 				}
 			}
 		}
+		return snapshot;
 	}
-}
-
-/** @typedef {import('./internal.ts').JSONAPIDocument} JSONAPIDocument */
-/** @typedef {import('./internal.ts').ResourceObject} ResourceObject */
-/** @typedef {import('./internal.ts').JsonApiObject} JsonApiObject */
-/** @typedef {import('./internal.ts').ErrorObject} ErrorObject */
-
-class Store {
-	/** @type {{[x: string]: {[x: string]: Model}}} */
-	#graph = {};
 
-	/** @type {{[x: string]: string[]}} */
-	#order = {};
+	/**
+	 * Create plain JSON snapshot of the store. Used by `JSON.stringify`.
+	 *
+	 * @returns Store snapshot.
+	 */
+	toJSON() {
+		return this.snapshot();
+	}
 
 	/**
-	 * Remove a model from the store.
+	 * Replace contents of the store with contents of the snapshot.
 	 *
-	 * @param {?Model} model The model to destroy.
+	 * @param {StoreSnapshot} snapshot Store snapshot.
 	 */
-	destroy(model) {
-		if (!model) {
-			return;
-		}
-		const typeInOrder = this.#order[model.type];
-		const typeInGraph = this.#graph[model.type];
-		if (typeof model.id === 'undefined') {
-			return;
+	hydrate(snapshot) {
+		if (snapshot?.version !== 1) {
+			throw new TypeError('Unsupported store snapshot version.');
 		}
-		model.unlinkDependence((dependent) => {
-			// eslint-disable-next-line unicorn/no-array-method-this-argument
-			return this.find(dependent.type, dependent.id);
+		const {
+			records,
+			order,
+			dependents,
+			states = {},
+			meta,
+			links,
+			jsonapi,
+			errors
+		} = structuredClone(snapshot);
+		/**
+		 * @param {string} type
+		 * @param {string} id Id or local id of the model.
+		 */
+		// eslint-disable-next-line unicorn/no-array-method-this-argument
+		const findModel = (type, id) => this.find(type, id) ?? this.findByLid(type, id);
+
+		this.batch(() => {
+			this.reset();
+
+			this.meta = meta;
+			this.links = links;
+			this.jsonapi = jsonapi;
+			this.errors = errors;
+
+			for (const record of records) {
+				this.syncRecord(record);
+			}
+			for (const [type, typeInDependents] of Object.entries(dependents)) {
+				for (const [id, modelDependents] of Object.entries(typeInDependents)) {
+					const model = findModel(type, id);
+					for (const dependent of modelDependents) {
+						model?.addDependence(dependent.type, dependent.id, dependent.relation);
+					}
+				}
+			}
+			// Records hold current values, so state of the last sync is restored after every model exists
+			for (const [type, typeInStates] of Object.entries(states)) {
+				for (const [id, state] of Object.entries(typeInStates)) {
+					findModel(type, id)?.restoreSyncState(state, (linkage) =>
+						findModel(linkage.type, linkage.id ?? linkage.lid)
+					);
+				}
+			}
+			for (const [type, typeInOrder] of Object.entries(order)) {
+				this.#order[type] = typeInOrder.filter(
+					(id) => this.#graph[type]?.[id] ?? this.#localGraph[type]?.[id]
+				);
+			}
 		});
-		delete typeInGraph?.[model.id];
-		typeInOrder?.splice(typeInOrder.indexOf(model.id), 1);
 	}
 
 	/**
-	 * Retrieve a model by type and id. Constant-time lookup.
+	 * Create store from snapshot.
 	 *
-	 * @param {string} type The type of the model.
-	 * @param {string} id The id of the model.
+	 * @param {StoreSnapshot} snapshot Store snapshot.
+	 * @param {StoreOptions=} options Store options.
 	 *
-	 * @returns The corresponding model if present, and `null` otherwise.
+	 * @returns New store.
 	 */
-	find(type, id) {
-		return this.#graph?.[type]?.[id] ?? null;
+	static fromSnapshot(snapshot, options) {
+		const store = new Store(options);
+		store.hydrate(snapshot);
+		return store;
 	}
 
 	/**
-	 * Retrieve all models by type.
-	 *
-	 * @param {string} type The type of the model.
+	 * Create child store for isolated changes. Child reads models of this store, but copies them
+	 * into itself when they are first retrieved or synced, and models linked to them when they are
+	 * accessed. Changes and syncs made in child are applied to this store only with `.commit()` of
+	 * the child.
 	 *
-	 * @returns Array of the corresponding model if present, and empty array otherwise.
+	 * @returns {Store} The child store.
 	 */
-	findAll(type) {
-		const typeInOrder = this.#order[type];
-		const typeInGraph = this.#graph[type];
-		if (!typeInOrder) {
-			return [];
-		}
-		/** @type {Model[]}*/
-		const models = [];
-		for (const modelId of typeInOrder) {
-			const model = typeInGraph?.[modelId];
-			if (model) {
-				models.push(model);
-			}
-		}
-		return models;
+	fork() {
+		const child = new Store({ strict: this.#strict, generateLid: this.#generateLid });
+		child.#parent = this;
+		child.#inflector = this.#inflector;
+		child.#loader = this.#loader;
+		child.#schemas = { ...this.#schemas };
+		child.#transforms = { ...this.#transforms };
+		child.#models = { ...this.#models };
+		child.#defaultModel = this.#defaultModel;
+		return child;
 	}
 
 	/**
-	 * Empty the store.
+	 * Apply models created, changed and destroyed in the fork to its parent store, and empty the
+	 * fork. Only fields changed or synced in the fork are applied to models of the parent, so
+	 * changes the parent got after the fork are kept.
 	 */
-	reset() {
-		delete this.meta;
-		delete this.links;
-		delete this.jsonapi;
-		delete this.errors;
+	commit() {
+		const parent = this.#getParent();
+		const changes = [...this.#forkChanges].filter(([model]) => this.#contains(model));
+		parent.batch(() => {
+			/** @type {Map<Model, Model>} */
+			const targets = new Map();
+			/** @type {Map<Model, CopiedFields>} */
+			const copiedFields = new Map();
+			for (const [model, change] of changes) {
+				const origin = this.#origins.get(model);
+				const originTarget = origin ? parent.#copy(origin) : null;
+				// Models which parent doesn't have yet are copied whole
+				if (originTarget) {
+					copiedFields.set(model, change);
+				}
+				targets.set(model, parent.#initCommitted(model, originTarget));
+			}
+			const resolve = (/** @type {Model} */ model) => {
+				const origin = this.#origins.get(model);
+				return targets.get(model) ?? (origin ? parent.#copy(origin) : null);
+			};
+			for (const [model, target] of targets) {
+				target.copyFrom(model, resolve, { fields: copiedFields.get(model) });
+			}
+			for (const origin of this.#removedModels) {
+				parent.destroy(parent.#copy(origin));
+			}
+			if (Object.hasOwn(this, 'meta')) {
+				parent.meta = this.meta;
+				parent.links = this.links;
+				parent.jsonapi = this.jsonapi;
+				parent.errors = this.errors;
+			}
+		});
+		this.discard();
+	}
 
-		this.#graph = {};
-		this.#order = {};
+	/**
+	 * Drop all changes made in the fork, so it reads models of its parent store again.
+	 */
+	discard() {
+		this.#getParent();
+		this.reset();
+		// Records of parent are filtered by copies, so snapshot is rebuilt without them
+		this.#immutableSnapshot = null;
+		this.#copies.clear();
+		this.#origins.clear();
+		this.#removedModels.clear();
+		this.#forkChanges.clear();
 	}
 
 	/**
-	 * Initialize model.
+	 * Retrieve model which model of fork is committed to, and give it id assigned in the fork.
 	 *
-	 * @param  {string} type The type of the model.
-	 * @param  {string} id The id of the model.
+	 * @param {Model} model The model of the fork.
+	 * @param {?Model} target The model of this store which the fork copied, if any.
 	 *
-	 * @returns New model.
+	 * @returns {Model}
 	 */
-	initModel(type, id) {
-		this.#graph[type] ??= {};
-		this.#order[type] ??= [];
+	#initCommitted(model, target) {
+		const committed =
+			target ??
+			(typeof model.id === 'undefined'
+				? this.#initLocalModel(model.type, /** @type {string} */ (model.lid))
+				: this.initModel(model.type, model.id));
+		if (typeof committed.id === 'undefined' && typeof model.id !== 'undefined') {
+			this.#assignId(committed, model.id);
+		}
+		return committed;
+	}
 
-		const typeInGraph = this.#graph[type];
-		const typeInOrder = this.#order[type];
+	#getParent() {
+		if (!this.#parent) {
+			throw new Error('Expected store to be a fork, create it with `.fork()`.');
+		}
+		return this.#parent;
+	}
 
-		const model = typeInGraph?.[id] ?? new Model(type, id);
+	/**
+	 * @param {Model} model
+	 */
+	#contains(model) {
+		return typeof model.id === 'undefined'
+			? this.#localGraph[model.type]?.[/** @type {string} */ (model.lid)] === model
+			: this.#graph[model.type]?.[model.id] === model;
+	}
 
-		if (typeInGraph) {
-			typeInGraph[id] ??= model;
-		}
-		if (!typeInOrder) {
+	/**
+	 * Find model in this store or its ancestors, without copying it.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {string} key The id, or local id of model not yet created on the server.
+	 * @param {boolean} isLocal Whether key is local id.
+	 *
+	 * @returns {?Model}
+	 */
+	#lookup(type, key, isLocal) {
+		const model = (isLocal ? this.#localGraph : this.#graph)[type]?.[key];
+		if (model) {
 			return model;
 		}
+		const origin = this.#lookupInParent(type, key, isLocal);
+		if (!origin || this.#removedModels.has(origin) || this.#copies.has(origin)) {
+			return null;
+		}
+		return origin;
+	}
 
-		const currentOrderIndex = typeInOrder.indexOf(id);
+	/**
+	 * @param {string} type
+	 * @param {string} key
+	 * @param {boolean} isLocal
+	 */
+	#lookupInParent(type, key, isLocal) {
+		return this.#parent ? this.#parent.#lookup(type, key, isLocal) : null;
+	}
 
-		if (currentOrderIndex === -1) {
-			typeInOrder.push(id);
-		} else {
-			// Remove the id from the current order and add it to the bottom
-			typeInOrder.splice(currentOrderIndex, 1);
-			typeInOrder.push(id);
-		}
-		return model;
+	#lookupSnapshotInParent() {
+		return this.#parent ? this.#parent.getSnapshot() : null;
 	}
 
 	/**
-	 * Sync record data to model.
+	 * @param {string} type
+	 */
+	#lookupAllInParent(type) {
+		return this.#parent ? this.#parent.#lookupAll(type) : [];
+	}
+
+	/**
+	 * Retrieve all models by type from this store and its ancestors, without copying them.
 	 *
-	 * @param  {ResourceObject} record Record data to sync.
+	 * @param {string} type The type of the model.
+	 *
+	 * @returns {Model[]}
 	 */
-	syncRecord(record) {
-		/** @type {IModel} */
-		const model = this.initModel(record.type, record.id);
+	#lookupAll(type) {
+		const inherited = this.#lookupAllInParent(type).filter(
+			(model) => !this.#removedModels.has(model) && !this.#copies.has(model)
+		);
+		return [...inherited, ...this.#findOwn(type)];
+	}
 
-		const findOrInit = (/** @type {ResourceObject|Linkage} */ resource) => {
-			// eslint-disable-next-line unicorn/no-array-method-this-argument
-			if (!this.find(resource.type, resource.id)) {
-				this.initModel(resource.type, resource.id);
-			}
-			// eslint-disable-next-line unicorn/no-array-method-this-argument
-			return this.find(resource.type, resource.id);
-		};
+	/**
+	 * Copy model of ancestor store into the fork.
+	 *
+	 * @param {string} type The type of the model.
+	 * @param {string} key The id, or local id of model not yet created on the server.
+	 * @param {boolean} isLocal Whether key is local id.
+	 *
+	 * @returns {?Model} Copy of the model, or `null` if ancestors don't have it.
+	 */
+	#adopt(type, key, isLocal) {
+		const origin = this.#lookupInParent(type, key, isLocal);
+		return origin ? this.#copy(origin) : null;
+	}
 
-		model.sync(record, findOrInit);
+	/**
+	 * Retrieve copy of model of ancestor store, copying it if needed. Models linked to it are
+	 * copied only once its relationships are accessed. Model which belongs to this store is
+	 * returned as is.
+	 *
+	 * @param {Model} origin Model of this store or its ancestor.
+	 *
+	 * @returns {?Model} Copy of the model, or `null` if it was destroyed.
+	 */
+	#copy(origin) {
+		const { type, id, lid } = origin;
+		const isLocal = typeof id === 'undefined';
+		const key = /** @type {string} */ (id ?? lid);
+		const existing =
+			this.#copies.get(origin) ?? (isLocal ? this.#localGraph : this.#graph)[type]?.[key];
+		if (existing) {
+			return existing;
+		}
+		if (this.#lookupInParent(type, key, isLocal) !== origin) {
+			return null;
+		}
+		const ModelClass = this.#models[type] ?? this.#defaultModel;
+		const model = new ModelClass(type, id);
+		model.lid = lid;
+		this.#copies.set(origin, model);
+		this.#origins.set(model, origin);
+		const graph = isLocal ? this.#localGraph : this.#graph;
+		graph[type] ??= {};
+		graph[type][key] = model;
+		this.#order[type] ??= [];
+		this.#order[type].push(key);
+		// Linked models are copied once accessed, unless the fork destroyed them by then
+		model.copyFrom(
+			origin,
+			(related) => (this.#removedModels.has(related) ? null : this.#copy(related)),
+			{ lazy: true }
+		);
+		this.#observe(model);
+		this.#updateIndexes(createChange(model, 'created'));
+		return model;
 	}
 
 	/**
 	 * Sync a JSON API-compliant payload with the store and store any top level
-	 * properties included in the payload.
+	 * properties included in the payload. Invalid payload throws `DocumentValidationError` in
+	 * strict mode and nothing is synced.
+	 *
+	 * Results of Atomic Operations extension are applied in order. Pass the sent operations to
+	 * apply results to their models, so that created models get their ids and removed models are
+	 * destroyed.
 	 *
 	 * @param {JSONAPIDocument=} payload The JSON API payload.
+	 * @param {StoreSyncOptions=} options The options for sync.
+	 *
+	 * @returns {?Model|Model[]} Synced models of primary data, or `null` if payload has no data.
 	 */
-	sync(payload) {
-		const { data, meta, links, jsonapi, errors, included } = payload ?? {};
+	sync(payload, options = {}) {
+		this.#validate(payload);
+		const {
+			data,
+			meta,
+			links,
+			jsonapi,
+			errors,
+			included,
+			'atomic:results': results
+		} = payload ?? {};
 
-		this.meta = meta;
+		this.meta = this.#inflector
+			? inflectMeta(meta, this.#inflector, this.#inflector.deserializeKey)
+			: meta;
 		this.links = links;
 		this.jsonapi = jsonapi;
 		this.errors = errors;
 
+		const { operations = [], strategy, conflicts } = options;
+		/** @type {MergeOptions} */
+		const merge = { strategy, conflicts };
+
+		return this.batch(() => {
+			const models = this.#syncData(data, included, merge);
+			if (Array.isArray(results)) {
+				this.#syncResults(results, operations, merge);
+			}
+			return models;
+		});
+	}
+
+	/**
+	 * Validate payload in strict mode.
+	 *
+	 * @param {JSONAPIDocument=} payload The JSON API payload.
+	 */
+	#validate(payload) {
+		if (this.#strict) {
+			const issues = validateDocument(payload);
+			if (issues.length !== 0) {
+				throw new DocumentValidationError(issues);
+			}
+		}
+	}
+
+	/**
+	 * Sync included resources and primary data.
+	 *
+	 * @param {?JSONAPIDocument['data']} data Primary data.
+	 * @param {ResourceObject[]=} included Included resources.
+	 * @param {MergeOptions=} merge How records are merged into models.
+	 *
+	 * @returns {?Model|Model[]} Synced models of primary data.
+	 */
+	#syncData(data, included, merge) {
 		if (Array.isArray(included)) {
 			for (const record of included) {
-				this.syncRecord(record);
+				this.syncRecord(record, merge);
 			}
 		}
-
 		if (Array.isArray(data)) {
-			for (const record of data) {
-				this.syncRecord(record);
+			return data.map((record) => this.syncRecord(record, merge));
+		}
+		return data ? this.syncRecord(data, merge) : null;
+	}
+
+	/**
+	 * Set loader which fetches documents of relationships loaded with `.load()` method of models.
+	 *
+	 * @param {?Loader} loader Function which receives URL and resolves with JSON API document.
+	 */
+	setLoader(loader) {
+		this.#loader = loader;
+	}
+
+	/**
+	 * Load relationship of the model and sync it. Document of `related` link holds related
+	 * resources, document of `self` link holds linkage of the relationship.
+	 *
+	 * @param {Model} model The model.
+	 * @param {string} name The name of the relationship.
+	 */
+	async #loadRelationship(model, name) {
+		const loader = this.#loader;
+		if (!loader) {
+			throw new Error('Expected store to have loader, set it with `.setLoader()`.');
+		}
+		const { related, self } = model.relationshipLinks(name);
+		const url = related?.href ?? self?.href;
+		if (!url) {
+			throw new Error(`Relationship "${name}" of "${model.type}" model has no link to load.`);
+		}
+		const document = await loader(url);
+		this.#validate(document);
+
+		// Record is synced as received from API, so its keys and types are serialized
+		const identify = (/** @type {Model} */ relatedModel) => {
+			const { data } = relatedModel.serialize({
+				attributes: [],
+				relationships: [],
+				links: [],
+				meta: []
+			});
+			return /** @type {ResourceObject} */ (data);
+		};
+		const key = this.#inflector ? this.#inflector.serializeKey(name) : name;
+
+		this.batch(() => {
+			const models = this.#syncData(related ? document.data : null, document.included);
+			/** @type {Relationship} */
+			let relationship;
+			if (related) {
+				// Self link of the document points to related resources, not to the relationship
+				/** @type {LinksObject} */
+				const links = { ...model.relationshipLinks(name) };
+				for (const [linkName, link] of Object.entries(document.links ?? {})) {
+					if (linkName !== 'self' && link) {
+						links[linkName] = link;
+					}
+				}
+				relationship = /** @type {Relationship} */ ({
+					data: Array.isArray(models)
+						? models.map((relatedModel) => identify(relatedModel))
+						: models && identify(models),
+					links: links,
+					meta: document.meta
+				});
+			} else {
+				const { data = null, links, meta } = document;
+				relationship = /** @type {Relationship} */ ({ data, links, meta });
+			}
+			// Record holds only loaded relationship, so other fields are always kept
+			this.syncRecord(
+				{ ...identify(model), relationships: { [key]: relationship } },
+				{ strategy: 'merge' }
+			);
+		});
+	}
+
+	/**
+	 * Apply results of Atomic Operations extension in order.
+	 *
+	 * @param {AtomicResult[]} results Operation results.
+	 * @param {Operation[]} operations Operations which results belong to.
+	 * @param {MergeOptions=} merge How records are merged into models.
+	 */
+	#syncResults(results, operations, merge) {
+		for (const [index, result] of results.entries()) {
+			const operation = operations[index];
+			const record = result.data;
+			if (operation?.op === 'remove' && typeof operation.relationship === 'undefined') {
+				this.destroy(operation.model);
+			} else if (record) {
+				const model = operation?.model;
+				if (
+					model &&
+					model.type === this.#deserializeType(record.type) &&
+					typeof model.id === 'undefined' &&
+					// eslint-disable-next-line unicorn/no-array-method-this-argument
+					!this.find(model.type, record.id)
+				) {
+					this.#assignId(model, record.id);
+				}
+				this.syncRecord(record, merge);
 			}
-		} else if (data) {
-			this.syncRecord(data);
 		}
 	}
 }
 
-export { Store, Model };
+export {
+	Store,
+	Model,
+	validateDocument,
+	DocumentValidationError,
+	serializeOperations,
+	buildQuery,
+	parseQuery
+};
@@ -22,18 +22,25 @@ export type Relationship = {
     meta?: Meta;
 };
 
-interface LinkObject {
+export interface LinkObject {
     href: string;
+    rel?: string;
+    describedby?: LinkObject | string;
+    title?: string;
+    type?: string;
+    hreflang?: string | string[];
     meta?: Meta;
 }
 
 export interface LinksObject {
     self?: LinkObject | string | null;
     related?: LinkObject | string | null;
+    [key: string]: LinkObject | string | null | undefined;
 }
 
 export interface ResourceObject {
     id: string;
+    lid?: string | undefined;
     type: string;
     attributes?: {
         [key: string]: Attribute;
@@ -49,11 +56,17 @@ export interface Meta {
     [name: string]: unknown;
 }
 
-export interface Linkage {
+export type Linkage = {
     type: string;
     id: string;
+    lid?: string | undefined;
     meta?: Meta;
-}
+} | {
+    type: string;
+    id?: undefined;
+    lid: string;
+    meta?: Meta;
+};
 
 export interface JsonApiObject {
     version: string;
@@ -81,6 +94,66 @@ export interface JSONAPIDocument {
     errors?: ErrorObject[] | undefined;
     meta?: Meta | undefined;
     included?: Array<ResourceObject> | undefined;
+    'atomic:operations'?: AtomicOperation[] | undefined;
+    'atomic:results'?: AtomicResult[] | undefined;
+}
+
+export interface AtomicReference {
+    type: string;
+    id?: string | undefined;
+    lid?: string | undefined;
+    relationship?: string | undefined;
+}
+
+export interface AtomicOperation {
+    op: 'add' | 'update' | 'remove';
+    ref?: AtomicReference | undefined;
+    data?: ResourceObject | Linkage | Linkage[] | null | undefined;
+    meta?: Meta | undefined;
+}
+
+export interface AtomicResult {
+    data?: ResourceObject | null | undefined;
+    meta?: Meta | undefined;
+}
+
+export interface Dependent {
+    type: string;
+    id: string;
+    relation: string;
+}
+
+export interface ModelSyncState {
+    isSynced: boolean;
+    loadedFields: string[];
+    syncedAttributes: {
+        [name: string]: unknown;
+    };
+    syncedRelationships: {
+        [name: string]: Linkage | Linkage[] | null;
+    };
+}
+
+export interface StoreSnapshot {
+    version: 1;
+    records: ResourceObject[];
+    order: {
+        [type: string]: string[];
+    };
+    dependents: {
+        [type: string]: {
+            [id: string]: Dependent[];
+        };
+    };
+    states?: {
+        [type: string]: {
+            [id: string]: ModelSyncState;
+        };
+    };
+    jsonapi?: JsonApiObject | undefined;
+    links?: LinksObject | undefined;
+    errors?: ErrorObject[] | undefined;
+    meta?: Meta | undefined;
 }
 
 export type Optional<T, K extends keyof T> = Pick<Partial<T>, K> & Omit<T, K>;
@@ -0,0 +1,104 @@
+/**
+ * @typedef {import('../index.js').Model} Model
+ * @typedef {NonNullable<Parameters<Model['serialize']>[0]>} ModelSerializeOptions
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ * @typedef {import('../internal.ts').AtomicOperation} AtomicOperation
+ * @typedef {import('../internal.ts').Linkage} Linkage
+ * @typedef {import('../internal.ts').ResourceObject} ResourceObject
+ * @typedef {import('../internal.ts').Meta} Meta
+ *
+ * @typedef {object} OperationOptions
+ * @property {'add'|'update'|'remove'} op The operation code.
+ * @property {Model} model The target model.
+ * @property {string=} relationship The target relationship of the model. Its linkage is used as operation data.
+ * @property {Model[]=} models Related models used as operation data instead of current relationship value.
+ * @property {Meta=} meta Meta information of the operation.
+ *
+ * @typedef {OperationOptions & Omit<ModelSerializeOptions, 'meta'>} Operation
+ */
+
+/**
+ * @param {Model} model
+ *
+ * @returns {Linkage}
+ */
+function createIdentifier(model) {
+	if (typeof model.id === 'undefined' && typeof model.lid === 'undefined') {
+		throw new TypeError(`Expected "${model.type}" model to have id or lid.`);
+	}
+	// Serialized data holds type as it is known by API
+	const { data } = model.serialize({ attributes: [], relationships: [], links: [], meta: [] });
+	const { type, id, lid } = /** @type {ResourceObject} */ (data);
+	return /** @type {Linkage} */ (typeof id === 'undefined' ? { type, lid } : { type, id });
+}
+
+/**
+ * @param {Operation} operation
+ *
+ * @returns {AtomicOperation}
+ */
+function serializeRelationshipOperation(operation) {
+	const { op, model, relationship = '', models } = operation;
+	const { data } = model.serialize({
+		attributes: [],
+		relationships: [relationship],
+		links: [],
+		meta: []
+	});
+	// Relationship is serialized under its name known by API
+	const { relationships = {} } = /** @type {ResourceObject} */ (data);
+	const [name, value] = Object.entries(relationships)[0] ?? [relationship, {}];
+	/** @type {AtomicOperation} */
+	const result = {
+		op: op,
+		ref: { ...createIdentifier(model), relationship: name }
+	};
+	if (models) {
+		result.data = models.map((relatedModel) => createIdentifier(relatedModel));
+	} else {
+		result.data = value.data ?? null;
+	}
+	return result;
+}
+
+/**
+ * @param {Operation} operation
+ *
+ * @returns {AtomicOperation}
+ */
+function serializeOperation(operation) {
+	const { op, model, relationship, meta, ...serializeOptions } = operation;
+	if (op !== 'add' && op !== 'update' && op !== 'remove') {
+		throw new TypeError(`Unknown operation "${op}".`);
+	}
+	/** @type {AtomicOperation} */
+	let result;
+	if (typeof relationship !== 'undefined') {
+		result = serializeRelationshipOperation(operation);
+	} else if (op === 'remove') {
+		result = { op: op, ref: createIdentifier(model) };
+	} else {
+		result = { op: op, data: model.serialize(serializeOptions).data ?? null };
+	}
+	if (meta) {
+		result.meta = meta;
+	}
+	return result;
+}
+
+/**
+ * Serialize list of operations into Atomic Operations extension document. Resource operations
+ * serialize the model, relationship operations serialize linkage of the relationship. Models not
+ * yet created on the server are referenced by `lid`.
+ *
+ * @param {Operation[]} operations The list of operations.
+ *
+ * @returns {JSONAPIDocument} JSON API document with `atomic:operations` member.
+ */
+function serializeOperations(operations) {
+	return {
+		'atomic:operations': operations.map((operation) => serializeOperation(operation))
+	};
+}
+
+export default serializeOperations;
@@ -0,0 +1,211 @@
+import { buildQuery } from './querystring.js';
+
+/**
+ * @typedef {import('../index.js').Model} Model
+ * @typedef {import('../index.js').Store} Store
+ * @typedef {NonNullable<Parameters<Model['serialize']>[0]>} ModelSerializeOptions
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ * @typedef {import('../internal.ts').ResourceObject} ResourceObject
+ * @typedef {import('../internal.ts').ErrorObject} ErrorObject
+ * @typedef {import('./querystring.js').QueryParameters} QueryParameters
+ *
+ * @typedef {object} ClientOptions
+ * @property {string} baseUrl Base URL of the API, resource type is appended to it.
+ * @property {Store} store Store which responses are synced with.
+ * @property {typeof globalThis.fetch=} fetch Fetch implementation. (Default: global `fetch`).
+ * @property {{[x: string]: string}=} headers Additional headers sent with every request.
+ *
+ * @typedef {object} Client
+ * @property {(type: string, id: string, parameters?: QueryParameters) => Promise<?Model>} find Fetch single resource.
+ * @property {(type: string, parameters?: QueryParameters) => Promise<Model[]>} findAll Fetch collection of resources.
+ * @property {(model: Model, options?: ModelSerializeOptions) => Promise<Model>} create Create resource from model, resolves with model of the store.
+ * @property {(model: Model, options?: ModelSerializeOptions) => Promise<Model>} update Update resource from model with `id`.
+ * @property {(model: Model) => Promise<void>} delete Delete resource of model with `id`.
+ */
+
+const mediaType = 'application/vnd.api+json';
+
+class RequestError extends Error {
+	/**
+	 * @param {Response} response The failed response.
+	 * @param {?JSONAPIDocument} document The response document.
+	 */
+	constructor(response, document) {
+		const [error] = document?.errors ?? [];
+		super(
+			`Request failed with status ${response.status}${error?.title ? `: ${error.title}` : ''}.`
+		);
+		this.name = 'RequestError';
+		this.status = response.status;
+		/** @type {ErrorObject[]} */
+		this.errors = document?.errors ?? [];
+		this.document = document;
+	}
+}
+
+/**
+ * @param {Response} response
+ *
+ * @returns {Promise<?JSONAPIDocument>}
+ */
+async function readDocument(response) {
+	if (response.status === 204) {
+		return null;
+	}
+	const text = await response.text();
+	if (text === '') {
+		return null;
+	}
+	try {
+		return JSON.parse(text);
+	} catch (error) {
+		// Error responses may come from proxies or gateways with body which is not JSON
+		if (response.ok) {
+			throw error;
+		}
+		return null;
+	}
+}
+
+/**
+ * Create client which requests JSON:API server and syncs responses with the store. Resources are
+ * requested at `{baseUrl}/{type}` and `{baseUrl}/{type}/{id}` with type as it is known by API.
+ *
+ * @param {ClientOptions} options Client options.
+ *
+ * @returns {Client}
+ */
+function createClient(options) {
+	const { store, headers = {} } = options;
+	const baseUrl = options.baseUrl.replace(/\/+$/, '');
+	const send = options.fetch ?? globalThis.fetch;
+
+	/**
+	 * @param {(string|undefined)[]} segments
+	 * @param {QueryParameters=} parameters
+	 */
+	const createUrl = (segments, parameters = {}) => {
+		const path = segments.map((segment) => `/${encodeURIComponent(segment ?? '')}`).join('');
+		const query = buildQuery(parameters);
+		return `${baseUrl}${path}${query === '' ? '' : `?${query}`}`;
+	};
+
+	/**
+	 * Send request and throw `RequestError` for unsuccessful response.
+	 *
+	 * @param {string} method
+	 * @param {string} url
+	 * @param {JSONAPIDocument=} body
+	 * @param {Model=} model Model which errors of the response belong to.
+	 */
+	const request = async (method, url, body, model) => {
+		/** @type {{[x: string]: string}} */
+		const requestHeaders = { Accept: mediaType, ...headers };
+		if (body) {
+			requestHeaders['Content-Type'] = mediaType;
+		}
+		const response = await send(url, {
+			method: method,
+			headers: requestHeaders,
+			body: body ? JSON.stringify(body) : null
+		});
+		const document = await readDocument(response);
+		if (!response.ok) {
+			if (model && document?.errors) {
+				store.syncErrors(document, model);
+			}
+			throw new RequestError(response, document);
+		}
+		return document;
+	};
+
+	/**
+	 * Sync response of request which sent the model. Response without document means the server
+	 * accepted the model as it was sent.
+	 *
+	 * @param {Model} model
+	 * @param {JSONAPIDocument} sentDocument
+	 * @param {?JSONAPIDocument} document
+	 *
+	 * @returns {Model} Model of the store which the response was synced to.
+	 */
+	const syncModel = (model, sentDocument, document) => {
+		model.clearErrors();
+		const data = document?.data ?? sentDocument.data;
+		if (!data || Array.isArray(data)) {
+			return model;
+		}
+		// Responses may omit local id, which is needed to match the model kept by it
+		const record =
+			typeof model.id === 'undefined' && typeof model.lid !== 'undefined'
+				? { ...data, lid: data.lid ?? model.lid }
+				: data;
+		// Model which store doesn't hold is synced into other model of the store
+		const syncedModel = store.sync({ ...document, data: record });
+		return !syncedModel || Array.isArray(syncedModel) ? model : syncedModel;
+	};
+
+	/**
+	 * @param {Model} model
+	 */
+	const getId = (model) => {
+		if (typeof model.id === 'undefined') {
+			throw new TypeError(
+				`Expected "${model.type}" model to have id, create it with \`.create()\` first.`
+			);
+		}
+		return model.id;
+	};
+
+	/**
+	 * @param {Model} model
+	 */
+	const getType = (model) => {
+		const { data } = model.serialize({
+			attributes: [],
+			relationships: [],
+			links: [],
+			meta: []
+		});
+		return /** @type {ResourceObject} */ (data).type;
+	};
+
+	return {
+		async find(type, id, parameters) {
+			const document = await request('GET', createUrl([type, id], parameters));
+			const model = store.sync(document ?? {});
+			return Array.isArray(model) ? null : model;
+		},
+
+		async findAll(type, parameters) {
+			const document = await request('GET', createUrl([type], parameters));
+			const models = store.sync(document ?? {});
+			return [models ?? []].flat();
+		},
+
+		async create(model, serializeOptions) {
+			const sentDocument = model.serialize(serializeOptions);
+			const document = await request(
+				'POST',
+				createUrl([getType(model)]),
+				sentDocument,
+				model
+			);
+			return syncModel(model, sentDocument, document);
+		},
+
+		async update(model, serializeOptions) {
+			const url = createUrl([getType(model), getId(model)]);
+			const sentDocument = model.serialize(serializeOptions);
+			const document = await request('PATCH', url, sentDocument, model);
+			return syncModel(model, sentDocument, document);
+		},
+
+		async delete(model) {
+			await request('DELETE', createUrl([getType(model), getId(model)]));
+			store.destroy(model);
+		}
+	};
+}
+
+export { createClient, RequestError };
@@ -0,0 +1,106 @@
+// Model is used only when converting, so the circular import is resolved by then
+import { Model } from '../index.js';
+import { parseInclude } from './include.js';
+
+/**
+ * @typedef {import('./include.js').IncludeTree} IncludeTree
+ *
+ * @typedef {object} DenormalizeOptions
+ * @property {(string|string[])=} include Relationship paths to nest, e.g. `author.articles`. (Default: all relationships).
+ * @property {number=} depth Maximum nesting level of relationships. (Default: unlimited with `include`, otherwise `0`).
+ * @property {('stop'|'reference'|'throw')=} cycles What to do with model which is already its own ancestor: omit it, reference it by identifier or throw. (Default: `stop`).
+ */
+
+const cycleStrategies = new Set(['stop', 'reference', 'throw']);
+
+/**
+ * @param {Model} model
+ */
+function createIdentifier(model) {
+	return typeof model.id === 'undefined'
+		? { type: model.type, lid: model.lid }
+		: { type: model.type, id: model.id };
+}
+
+/**
+ * @param {Model} model
+ * @param {?IncludeTree} tree Relationships to nest, or `null` for all relationships.
+ * @param {number} depth
+ * @param {{ancestors: Model[], cycles: 'stop'|'reference'|'throw'}} context
+ *
+ * @returns {{[x: string]: any}}
+ */
+function convert(model, tree, depth, context) {
+	// Fields are keyed as on the model, since serialized document has keys inflected for API
+	const { attributes, relationships } = model.serializeFields();
+	/** @type {{[x: string]: any}} */
+	const object = { ...createIdentifier(model), ...structuredClone(attributes) };
+	if (depth <= 0) {
+		return object;
+	}
+	const { ancestors, cycles } = context;
+	const path = [...ancestors, model];
+	// Include paths may name attributes or unknown keys, which are not nested
+	const keys = tree
+		? Object.keys(tree).filter((key) => relationships.includes(key))
+		: relationships;
+
+	/**
+	 * @param {Model} relatedModel
+	 * @param {string} key
+	 */
+	const convertRelated = (relatedModel, key) => {
+		if (!path.includes(relatedModel)) {
+			return convert(relatedModel, tree?.[key] ?? null, depth - 1, {
+				ancestors: path,
+				cycles: cycles
+			});
+		}
+		if (cycles === 'throw') {
+			throw new Error(
+				`Relationship "${key}" of "${model.type}" model creates a cycle, which can't be denormalized.`
+			);
+		}
+		return cycles === 'reference' ? createIdentifier(relatedModel) : null;
+	};
+
+	for (const key of keys) {
+		/** @type {?Model|Model[]|undefined} */
+		const value = /** @type {{[x: string]: any}} */ (model)[key];
+		if (Array.isArray(value)) {
+			object[key] = value
+				.filter((relatedModel) => relatedModel instanceof Model)
+				.map((relatedModel) => convertRelated(relatedModel, key))
+				.filter((relatedObject) => relatedObject !== null);
+		} else if (value instanceof Model) {
+			const relatedObject = convertRelated(value, key);
+			if (relatedObject !== null) {
+				object[key] = relatedObject;
+			}
+		} else if (value === null) {
+			object[key] = null;
+		}
+	}
+	return object;
+}
+
+/**
+ * Convert model and its related models into fresh plain nested objects. Attributes are
+ * serialized, so the result contains only JSON values.
+ *
+ * @param {Model} model The model to convert.
+ * @param {DenormalizeOptions=} options The options for conversion.
+ *
+ * @returns {{[x: string]: any}} Plain object with identifier, attributes and nested relationships.
+ */
+function denormalize(model, options = {}) {
+	const { include, cycles = 'stop' } = options;
+	if (!cycleStrategies.has(cycles)) {
+		throw new TypeError(`Unknown cycle strategy "${cycles}".`);
+	}
+	const tree = typeof include === 'undefined' ? null : parseInclude(include);
+	const depth = options.depth ?? (tree ? Number.POSITIVE_INFINITY : 0);
+	return convert(model, tree, depth, { ancestors: [], cycles: cycles });
+}
+
+export default denormalize;
@@ -0,0 +1,38 @@
+/**
+ * Check if value is an object or array compared by its members.
+ *
+ * @param {any} value
+ *
+ * @returns {value is {[x: string]: any}}
+ */
+function hasMembers(value) {
+	return typeof value === 'object' && value !== null && !(value instanceof Date);
+}
+
+/**
+ * Check if two JSON-like values are deeply equal. Dates are compared by their time.
+ *
+ * @param {any} a
+ * @param {any} b
+ *
+ * @returns {boolean}
+ */
+function isDeepEqual(a, b) {
+	if (Object.is(a, b)) {
+		return true;
+	}
+	if (a instanceof Date && b instanceof Date) {
+		return a.getTime() === b.getTime();
+	}
+	if (!hasMembers(a) || !hasMembers(b) || Array.isArray(a) !== Array.isArray(b)) {
+		return false;
+	}
+	const aKeys = Object.keys(a);
+	const bKeys = Object.keys(b);
+	if (aKeys.length !== bKeys.length) {
+		return false;
+	}
+	return aKeys.every((key) => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]));
+}
+
+export default isDeepEqual;
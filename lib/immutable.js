@@ -0,0 +1,37 @@
+/**
+ * @typedef {{type: string, id?: string, lid?: string}} RecordIdentifier
+ *
+ * @typedef {object} ImmutableRecord
+ * @property {string} type The type of the model.
+ * @property {string=} id The id of the model.
+ * @property {string=} lid The local id of the model not yet created on the server.
+ * @property {Readonly<{[x: string]: any}>} attributes Attributes of the model.
+ * @property {Readonly<{[x: string]: ?RecordIdentifier|RecordIdentifier[]}>} relationships Identifiers of linked models.
+ * @property {Readonly<{[x: string]: any}>} links Links of the model.
+ * @property {Readonly<{[x: string]: any}>} meta Meta information of the model.
+ * @property {number} version Version of the store snapshot in which the record was created.
+ *
+ * @typedef {object} ImmutableSnapshot
+ * @property {number} version Version of the store, incremented with every change notification.
+ * @property {Readonly<{[x: string]: Readonly<{[x: string]: Readonly<ImmutableRecord>}>}>} types Records by type and id, or local id for models not yet created on the server.
+ */
+
+/**
+ * Freeze value together with all nested objects and arrays.
+ *
+ * @template T
+ * @param {T} value The value to freeze.
+ *
+ * @returns {Readonly<T>} The same value, frozen.
+ */
+function deepFreeze(value) {
+	if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+		return value;
+	}
+	for (const nestedValue of Object.values(value)) {
+		deepFreeze(nestedValue);
+	}
+	return Object.freeze(value);
+}
+
+export default deepFreeze;
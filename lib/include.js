@@ -0,0 +1,81 @@
+/**
+ * @typedef {import('../index.js').Model} Model
+ * @typedef {{[x: string]: IncludeTree}} IncludeTree
+ */
+
+/**
+ * Parse relationship paths into tree of relationships.
+ *
+ * @param {string|string[]} include Comma separated relationship paths or list of paths, e.g. `author,tags.category`.
+ *
+ * @returns {IncludeTree}
+ */
+function parseInclude(include) {
+	/** @type {IncludeTree} */
+	const tree = {};
+	const paths = Array.isArray(include) ? include : include.split(',');
+	for (const path of paths) {
+		let node = tree;
+		for (const key of path.trim().split('.')) {
+			if (key !== '') {
+				node[key] ??= {};
+				node = /** @type {IncludeTree} */ (node[key]);
+			}
+		}
+	}
+	return tree;
+}
+
+/**
+ * Collect models related to given models through relationship paths. Every model is collected
+ * once and given models are not collected, so walking stops on cycles.
+ *
+ * @param {Model[]} models The models to start from.
+ * @param {string|string[]} include Relationship paths to follow.
+ *
+ * @returns {Model[]} Related models in order of discovery.
+ */
+function collectIncluded(models, include) {
+	const seen = new Set(models);
+	/** @type {Model[]} */
+	const included = [];
+	/** @type {[Model, IncludeTree][]} */
+	const queue = [];
+	/** @type {Map<IncludeTree, Set<Model>>} */
+	const visited = new Map();
+
+	const enqueue = (/** @type {Model} */ model, /** @type {IncludeTree} */ node) => {
+		const visitedModels = visited.get(node) ?? new Set();
+		if (!visitedModels.has(model)) {
+			visitedModels.add(model);
+			visited.set(node, visitedModels);
+			queue.push([model, node]);
+		}
+	};
+
+	const collect = (/** @type {Model} */ model) => {
+		const hasIdentity = typeof model.id !== 'undefined' || typeof model.lid !== 'undefined';
+		if (hasIdentity && !seen.has(model)) {
+			seen.add(model);
+			included.push(model);
+		}
+	};
+
+	const tree = parseInclude(include);
+	for (const model of models) {
+		enqueue(model, tree);
+	}
+	while (queue.length !== 0) {
+		const [model, node] = /** @type {[Model, IncludeTree]} */ (queue.shift());
+		for (const [key, subtree] of Object.entries(node)) {
+			const relatedModels = [/** @type {{[x: string]: any}} */ (model)[key] ?? []].flat();
+			for (const relatedModel of relatedModels) {
+				collect(relatedModel);
+				enqueue(relatedModel, subtree);
+			}
+		}
+	}
+	return included;
+}
+
+export { parseInclude, collectIncluded };
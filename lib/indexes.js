@@ -0,0 +1,91 @@
+/**
+ * @typedef {import('../index.js').Model} Model
+ * @typedef {string | ((model: Model) => any)} IndexKey
+ *
+ * @typedef {object} IndexOptions
+ * @property {boolean=} unique Throw when more than one model has the same value.
+ *
+ * @typedef {object} ModelIndex
+ * @property {(model: Model) => void} update Index current value of the model.
+ * @property {(model: Model) => void} remove Remove the model from index.
+ * @property {(model: Model) => void} check Throw if unique index has other model with the same value.
+ * @property {(value: any) => Model[]} get Retrieve models with given value.
+ */
+
+/**
+ * @param {any} value
+ *
+ * @returns {any} Value which can be used as key of map.
+ */
+function toIndexValue(value) {
+	return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Create index of models by attribute or computed value. Models without value are not indexed.
+ *
+ * @param {string} type The type of indexed models.
+ * @param {IndexKey} key Name of the attribute or function which computes value of the model.
+ * @param {IndexOptions=} options Index options.
+ *
+ * @returns {ModelIndex}
+ */
+function createModelIndex(type, key, options = {}) {
+	const { unique = false } = options;
+	const name = typeof key === 'function' ? key.name || 'computed' : key;
+	const getValue =
+		typeof key === 'function'
+			? key
+			: (/** @type {Model} */ model) => /** @type {{[x: string]: any}} */ (model)[key];
+
+	/** @type {Map<any, Set<Model>>} */
+	const entries = new Map();
+	/** @type {Map<Model, any>} */
+	const values = new Map();
+
+	const remove = (/** @type {Model} */ model) => {
+		if (!values.has(model)) {
+			return;
+		}
+		const value = values.get(model);
+		values.delete(model);
+		const models = entries.get(value);
+		models?.delete(model);
+		if (models?.size === 0) {
+			entries.delete(value);
+		}
+	};
+
+	const update = (/** @type {Model} */ model) => {
+		const value = toIndexValue(getValue(model));
+		if (values.has(model) && Object.is(values.get(model), value)) {
+			return;
+		}
+		remove(model);
+		if (typeof value === 'undefined') {
+			return;
+		}
+		const models = entries.get(value) ?? new Set();
+		models.add(model);
+		entries.set(value, models);
+		values.set(model, value);
+	};
+
+	// Duplicates are kept in index, so it matches models until they are checked
+	const check = (/** @type {Model} */ model) => {
+		const value = values.get(model);
+		if (unique && (entries.get(value)?.size ?? 0) > 1) {
+			throw new Error(
+				`Unique index "${name}" of "${type}" models has duplicate value "${String(value)}".`
+			);
+		}
+	};
+
+	const get = (/** @type {any} */ value) => {
+		return [...(entries.get(toIndexValue(value)) ?? [])];
+	};
+
+	return { update, remove, check, get };
+}
+
+export default createModelIndex;
@@ -0,0 +1,236 @@
+/**
+ * @typedef {import('../internal.ts').ResourceObject} ResourceObject
+ * @typedef {import('../internal.ts').Relationship} Relationship
+ * @typedef {import('../internal.ts').Linkage} Linkage
+ * @typedef {import('../internal.ts').Meta} Meta
+ * @typedef {import('../internal.ts').Optional<ResourceObject, 'id' | 'type'>} OptionalResourceObject
+ *
+ * @typedef {(value: string) => string} Inflection
+ *
+ * @typedef {object} InflectionPair
+ * @property {(string|Inflection)=} deserialize Name of the inflection or custom inflection applied to values received from API.
+ * @property {(string|Inflection)=} serialize Name of the inflection or custom inflection applied to values sent to API.
+ *
+ * @typedef {object} InflectionOptions
+ * @property {InflectionPair=} keys Inflection of attribute, relationship and meta keys.
+ * @property {InflectionPair=} types Inflection of types.
+ * @property {boolean=} meta Whether meta keys are inflected too.
+ *
+ * @typedef {object} Inflector
+ * @property {Inflection} deserializeKey
+ * @property {Inflection} serializeKey
+ * @property {Inflection} deserializeType
+ * @property {Inflection} serializeType
+ * @property {boolean} meta
+ */
+
+/**
+ * @param {string} value
+ */
+function splitWords(value) {
+	return value
+		.replaceAll(/(?<lower>[\da-z])(?<upper>[A-Z])/g, '$<lower> $<upper>')
+		.replaceAll(/(?<acronym>[A-Z]+)(?<upper>[A-Z][a-z])/g, '$<acronym> $<upper>')
+		.split(/[\s_-]+/)
+		.filter((word) => word !== '');
+}
+
+/**
+ * @param {string} value
+ */
+function camelCase(value) {
+	return splitWords(value)
+		.map((word, index) => {
+			const lowerCaseWord = word.toLowerCase();
+			return index === 0
+				? lowerCaseWord
+				: lowerCaseWord.charAt(0).toUpperCase() + lowerCaseWord.slice(1);
+		})
+		.join('');
+}
+
+/**
+ * @param {string} value
+ */
+function kebabCase(value) {
+	return splitWords(value)
+		.map((word) => word.toLowerCase())
+		.join('-');
+}
+
+/**
+ * @param {string} value
+ */
+function snakeCase(value) {
+	return splitWords(value)
+		.map((word) => word.toLowerCase())
+		.join('_');
+}
+
+/**
+ * Pluralize english word with simple rules.
+ *
+ * @param {string} value
+ */
+function plural(value) {
+	if (/[^aeiou]y$/i.test(value)) {
+		return `${value.slice(0, -1)}ies`;
+	}
+	if (/(?:s|x|z|ch|sh)$/i.test(value)) {
+		return `${value}es`;
+	}
+	return `${value}s`;
+}
+
+/**
+ * Singularize english word with simple rules.
+ *
+ * @param {string} value
+ */
+function singular(value) {
+	if (/[^aeiou]ies$/i.test(value)) {
+		return `${value.slice(0, -3)}y`;
+	}
+	if (/(?:s|x|z|ch|sh)es$/i.test(value)) {
+		return value.slice(0, -2);
+	}
+	if (/[^s]s$/i.test(value)) {
+		return value.slice(0, -1);
+	}
+	return value;
+}
+
+/** @type {{[x: string]: Inflection}} */
+const builtinInflections = {
+	'camelCase': camelCase,
+	'kebab-case': kebabCase,
+	'snake_case': snakeCase,
+	'plural': plural,
+	'singular': singular
+};
+
+/**
+ * @param {string|Inflection|undefined} inflection Name of the inflection or custom inflection.
+ *
+ * @returns {Inflection}
+ */
+function resolveInflection(inflection) {
+	if (typeof inflection === 'undefined') {
+		return (value) => value;
+	}
+	if (typeof inflection === 'function') {
+		return inflection;
+	}
+	const builtinInflection = builtinInflections[inflection];
+	if (!builtinInflection) {
+		throw new TypeError(`Unknown inflection "${inflection}".`);
+	}
+	return builtinInflection;
+}
+
+/**
+ * Create inflector from inflection options.
+ *
+ * @param {InflectionOptions} options Inflection options.
+ *
+ * @returns {Inflector}
+ */
+function createInflector(options) {
+	return {
+		deserializeKey: resolveInflection(options.keys?.deserialize),
+		serializeKey: resolveInflection(options.keys?.serialize),
+		deserializeType: resolveInflection(options.types?.deserialize),
+		serializeType: resolveInflection(options.types?.serialize),
+		meta: options.meta ?? false
+	};
+}
+
+/**
+ * @template T
+ * @param {{[x: string]: T}} object
+ * @param {Inflection} inflect
+ *
+ * @returns {{[x: string]: T}}
+ */
+function inflectKeys(object, inflect) {
+	return Object.fromEntries(Object.entries(object).map(([key, value]) => [inflect(key), value]));
+}
+
+/**
+ * @param {Meta|undefined} meta
+ * @param {Inflector} inflector
+ * @param {Inflection} inflect
+ */
+function inflectMeta(meta, inflector, inflect) {
+	return meta && inflector.meta ? inflectKeys(meta, inflect) : meta;
+}
+
+/**
+ * Inflect types of linkage and meta keys of relationship.
+ *
+ * @param {Relationship} relationship
+ * @param {Inflector} inflector
+ * @param {Inflection} inflectKey
+ * @param {Inflection} inflectType
+ *
+ * @returns {Relationship} New relationship.
+ */
+function inflectRelationship(relationship, inflector, inflectKey, inflectType) {
+	const inflectLinkage = (/** @type {Linkage} */ linkage) => {
+		return { ...linkage, type: inflectType(linkage.type) };
+	};
+
+	/** @type {Relationship} */
+	const result = { ...relationship };
+	if (Array.isArray(relationship.data)) {
+		result.data = relationship.data.map((linkage) => inflectLinkage(linkage));
+	} else if (relationship.data) {
+		result.data = inflectLinkage(relationship.data);
+	}
+	if (relationship.meta) {
+		result.meta = inflectMeta(relationship.meta, inflector, inflectKey);
+	}
+	return result;
+}
+
+/**
+ * Inflect keys and types of resource object.
+ *
+ * @template {OptionalResourceObject} T
+ * @param {T} resource Resource object.
+ * @param {Inflector} inflector Inflector.
+ * @param {'serialize'|'deserialize'} direction Whether resource is sent to or received from API.
+ *
+ * @returns {T} New resource object.
+ */
+function inflectResource(resource, inflector, direction) {
+	const inflectKey =
+		direction === 'serialize' ? inflector.serializeKey : inflector.deserializeKey;
+	const inflectType =
+		direction === 'serialize' ? inflector.serializeType : inflector.deserializeType;
+
+	const result = { ...resource };
+	if (typeof resource.type !== 'undefined') {
+		result.type = inflectType(resource.type);
+	}
+	if (resource.attributes) {
+		result.attributes = inflectKeys(resource.attributes, inflectKey);
+	}
+	if (resource.relationships) {
+		result.relationships = {};
+		for (const [key, relationship] of Object.entries(resource.relationships)) {
+			result.relationships[inflectKey(key)] = inflectRelationship(
+				relationship,
+				inflector,
+				inflectKey,
+				inflectType
+			);
+		}
+	}
+	if (resource.meta) {
+		result.meta = inflectMeta(resource.meta, inflector, inflectKey);
+	}
+	return result;
+}
+
+export { createInflector, inflectResource, inflectMeta };
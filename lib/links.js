@@ -0,0 +1,64 @@
+/**
+ * @typedef {import('../internal.ts').LinkObject} LinkObject
+ * @typedef {import('../internal.ts').LinksObject} LinksObject
+ *
+ * @typedef {object} Link
+ * @property {string} href URL of the link.
+ * @property {string=} rel Relation type of the link.
+ * @property {Link=} describedby Link to description document of the link target.
+ * @property {string=} title Human-readable label of the link.
+ * @property {string=} type Media type of the link target.
+ * @property {(string|string[])=} hreflang Language of the link target.
+ * @property {import('../internal.ts').Meta=} meta Meta information about the link.
+ */
+
+const linkMembers = /** @type {const} */ (['rel', 'title', 'type', 'hreflang', 'meta']);
+
+/**
+ * Normalize link given as string or link object into link object.
+ *
+ * @param {LinkObject|string|null|undefined} link The link.
+ *
+ * @returns {?Link} Link object, or `null` for missing link.
+ */
+function normalizeLink(link) {
+	if (typeof link === 'string') {
+		return { href: link };
+	}
+	if (!link) {
+		return null;
+	}
+	/** @type {Link} */
+	const result = { href: link.href };
+	const describedby = normalizeLink(link.describedby);
+	if (describedby) {
+		result.describedby = describedby;
+	}
+	for (const member of linkMembers) {
+		if (typeof link[member] !== 'undefined') {
+			Object.assign(result, { [member]: link[member] });
+		}
+	}
+	return result;
+}
+
+/**
+ * Normalize links given as strings or link objects into link objects. Missing links are omitted.
+ *
+ * @param {LinksObject|undefined} links The links.
+ *
+ * @returns {{[x: string]: Link}}
+ */
+function normalizeLinks(links) {
+	/** @type {{[x: string]: Link}} */
+	const result = {};
+	for (const [name, link] of Object.entries(links ?? {})) {
+		const normalizedLink = normalizeLink(link);
+		if (normalizedLink) {
+			result[name] = normalizedLink;
+		}
+	}
+	return result;
+}
+
+export { normalizeLink, normalizeLinks };
@@ -0,0 +1,39 @@
+/**
+ * @typedef {import('../index.js').Model} Model
+ *
+ * @typedef {(local: any, incoming: any, key: string, model: Model) => any} MergeResolver
+ * @typedef {'merge'|'replace'|MergeResolver} MergeStrategy
+ * @typedef {'server'|'local'} ConflictStrategy
+ *
+ * @typedef {object} MergeOptions
+ * @property {MergeStrategy=} strategy How synced record is merged into the model: `merge` keeps fields missing from the record, `replace` removes them, and function resolves value of each field which differs from the local one. (Default: `merge`).
+ * @property {ConflictStrategy=} conflicts Whether fields with unsaved local changes take the server value or keep the local value. (Default: `server`).
+ *
+ * @typedef {object} ResolvedMergeOptions
+ * @property {MergeStrategy} strategy
+ * @property {ConflictStrategy} conflicts
+ */
+
+/**
+ * Resolve merge options of sync, falling back to options of the type and to defaults.
+ *
+ * @param {MergeOptions=} options Merge options of sync.
+ * @param {MergeOptions=} typeOptions Merge options of the type.
+ *
+ * @returns {ResolvedMergeOptions}
+ */
+function resolveMergeOptions(options = {}, typeOptions = {}) {
+	const {
+		strategy = typeOptions.strategy ?? 'merge',
+		conflicts = typeOptions.conflicts ?? 'server'
+	} = options;
+	if (strategy !== 'merge' && strategy !== 'replace' && typeof strategy !== 'function') {
+		throw new TypeError(`Unknown merge strategy "${String(strategy)}".`);
+	}
+	if (conflicts !== 'server' && conflicts !== 'local') {
+		throw new TypeError(`Unknown conflict strategy "${String(conflicts)}".`);
+	}
+	return { strategy, conflicts };
+}
+
+export default resolveMergeOptions;
@@ -0,0 +1,199 @@
+/**
+ * @typedef {import('../index.js').Model} Model
+ *
+ * @typedef {object} OperatorCondition
+ * @property {any=} eq Value is equal to given value.
+ * @property {any=} ne Value is not equal to given value.
+ * @property {any[]=} in Value is one of given values.
+ * @property {any[]=} nin Value is not one of given values.
+ * @property {any=} gt Value is greater than given value.
+ * @property {any=} gte Value is greater than or equal to given value.
+ * @property {any=} lt Value is less than given value.
+ * @property {any=} lte Value is less than or equal to given value.
+ *
+ * @typedef {(value: any, model: Model) => boolean} FunctionCondition
+ * @typedef {OperatorCondition|FunctionCondition|string|number|boolean|null|Date} Condition
+ * @typedef {{[path: string]: Condition} | ((model: Model) => boolean)} Where
+ * @typedef {string | string[] | ((a: Model, b: Model) => number)} Sort
+ *
+ * @typedef {object} QueryOptions
+ * @property {Where=} where Conditions every returned model needs to satisfy.
+ * @property {Sort=} sort Attribute paths to sort by, prefixed with `-` for descending order, or compare function.
+ * @property {number=} limit Maximum number of returned models.
+ * @property {number=} offset Number of models to skip.
+ */
+
+/**
+ * Resolve values found on path. Paths crossing to-many relationships resolve to multiple values.
+ *
+ * @param {Model} model The model to start from.
+ * @param {string} path Dot separated path, e.g. `author.name`.
+ *
+ * @returns {any[]} List of values found on path.
+ */
+function resolvePath(model, path) {
+	/** @type {any[]} */
+	let values = [model];
+	for (const key of path.split('.')) {
+		/** @type {any[]} */
+		const nextValues = [];
+		for (const value of values) {
+			const nextValue = value?.[key];
+			if (Array.isArray(nextValue)) {
+				nextValues.push(...nextValue);
+			} else {
+				nextValues.push(nextValue);
+			}
+		}
+		values = nextValues;
+	}
+	return values;
+}
+
+/**
+ * @param {any} value
+ *
+ * @returns {any} Primitive value suitable for comparison.
+ */
+function toComparable(value) {
+	if (value instanceof Date) {
+		return value.getTime();
+	}
+	return value;
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ */
+function isEqual(a, b) {
+	return Object.is(toComparable(a), toComparable(b));
+}
+
+/**
+ * @param {any} value
+ */
+function isEmpty(value) {
+	return typeof value === 'undefined' || value === null;
+}
+
+/** @type {{[operator: string]: (value: any, operand: any) => boolean}} */
+const operators = {
+	eq: (value, operand) => isEqual(value, operand),
+	ne: (value, operand) => !isEqual(value, operand),
+	in: (value, operand) => operand.some((/** @type {any} */ item) => isEqual(value, item)),
+	nin: (value, operand) => !operand.some((/** @type {any} */ item) => isEqual(value, item)),
+	gt: (value, operand) => !isEmpty(value) && toComparable(value) > toComparable(operand),
+	gte: (value, operand) => !isEmpty(value) && toComparable(value) >= toComparable(operand),
+	lt: (value, operand) => !isEmpty(value) && toComparable(value) < toComparable(operand),
+	lte: (value, operand) => !isEmpty(value) && toComparable(value) <= toComparable(operand)
+};
+
+/**
+ * @param {any} condition
+ *
+ * @returns {condition is OperatorCondition}
+ */
+function isOperatorCondition(condition) {
+	if (
+		condition === null ||
+		typeof condition !== 'object' ||
+		condition instanceof Date ||
+		Array.isArray(condition)
+	) {
+		return false;
+	}
+	const keys = Object.keys(condition);
+	return keys.length !== 0 && keys.every((key) => Object.hasOwn(operators, key));
+}
+
+/**
+ * @param {any} value
+ * @param {OperatorCondition} condition
+ */
+function matchesOperators(value, condition) {
+	return Object.entries(condition).every(([operator, operand]) => {
+		return operators[operator]?.(value, operand);
+	});
+}
+
+/**
+ * Create predicate from query conditions. Condition on path crossing to-many relationship is
+ * satisfied if any of the related models satisfies it.
+ *
+ * @param {Where} where Query conditions.
+ *
+ * @returns {(model: Model) => boolean} Function which checks if model satisfies all conditions.
+ */
+function createPredicate(where) {
+	if (typeof where === 'function') {
+		return where;
+	}
+	const conditions = Object.entries(where);
+	return (/** @type {Model} */ model) => {
+		return conditions.every(([path, condition]) => {
+			return resolvePath(model, path).some((value) => {
+				if (typeof condition === 'function') {
+					return condition(value, model);
+				}
+				if (isOperatorCondition(condition)) {
+					return matchesOperators(value, condition);
+				}
+				return isEqual(value, condition);
+			});
+		});
+	};
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @param {number} direction Ascending (`1`) or descending (`-1`) direction.
+ */
+function compareValues(a, b, direction) {
+	if (isEmpty(a) || isEmpty(b)) {
+		return Number(isEmpty(a)) - Number(isEmpty(b));
+	}
+	if (toComparable(a) < toComparable(b)) {
+		return -direction;
+	}
+	if (toComparable(a) > toComparable(b)) {
+		return direction;
+	}
+	return 0;
+}
+
+/**
+ * Create compare function from sort definition. Empty values are sorted last regardless of
+ * direction.
+ *
+ * @param {Sort} sort Sort definition, e.g. `['-createdAt', 'author.name']` or `-createdAt,title`.
+ *
+ * @returns {(a: Model, b: Model) => number} Compare function.
+ */
+function createComparator(sort) {
+	if (typeof sort === 'function') {
+		return sort;
+	}
+	const keys = (Array.isArray(sort) ? sort : sort.split(',')).map((key) => {
+		const path = key.trim();
+		const isDescending = path.startsWith('-');
+		return {
+			path: isDescending ? path.slice(1) : path,
+			direction: isDescending ? -1 : 1
+		};
+	});
+	return (/** @type {Model} */ a, /** @type {Model} */ b) => {
+		for (const { path, direction } of keys) {
+			const [aValue] = resolvePath(a, path);
+			const [bValue] = resolvePath(b, path);
+			const result = compareValues(aValue, bValue, direction);
+			if (result !== 0) {
+				return result;
+			}
+		}
+		return 0;
+	};
+}
+
+export { createPredicate, createComparator };
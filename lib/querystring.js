@@ -0,0 +1,153 @@
+/**
+ * @typedef {string|number|boolean} QueryParameterPrimitive
+ * @typedef {QueryParameterPrimitive|QueryParameterPrimitive[]|QueryParameterObject} QueryParameterValue
+ * @typedef {{[x: string]: QueryParameterValue|null|undefined}} QueryParameterObject
+ *
+ * @typedef {object} QueryParameterFamilies
+ * @property {(string|string[])=} include Relationship paths of related resources to include.
+ * @property {{[type: string]: string|string[]}=} fields Fields of resources to return by type.
+ * @property {(string|string[])=} sort Fields to sort by, prefixed with `-` for descending order.
+ * @property {QueryParameterObject=} filter Filter parameters, nested objects become nested brackets.
+ * @property {QueryParameterObject=} page Pagination parameters.
+ *
+ * @typedef {QueryParameterFamilies & QueryParameterObject} QueryParameters
+ */
+
+const listParameters = new Set(['include', 'sort']);
+
+// Path segments which would reach prototypes of parsed objects
+const unsafeSegments = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * @param {QueryParameterPrimitive} value
+ */
+function encodeValue(value) {
+	return encodeURIComponent(String(value));
+}
+
+/**
+ * @param {string} value
+ */
+function decodeValue(value) {
+	return decodeURIComponent(value.replaceAll('+', ' '));
+}
+
+/**
+ * Append encoded parameters of value to list of pairs. Objects become nested bracket parameters
+ * and lists become comma separated values.
+ *
+ * @param {string[]} pairs
+ * @param {string} name Encoded name of the parameter.
+ * @param {QueryParameterValue|null|undefined} value
+ */
+function appendParameter(pairs, name, value) {
+	if (value === null || typeof value === 'undefined') {
+		return;
+	}
+	if (Array.isArray(value)) {
+		if (value.length !== 0) {
+			pairs.push(`${name}=${value.map((item) => encodeValue(item)).join(',')}`);
+		}
+	} else if (typeof value === 'object') {
+		for (const [key, nestedValue] of Object.entries(value)) {
+			appendParameter(pairs, `${name}${encodeValue(`[${key}]`)}`, nestedValue);
+		}
+	} else {
+		pairs.push(`${name}=${encodeValue(value)}`);
+	}
+}
+
+/**
+ * @param {string|string[]|undefined} value
+ */
+function toList(value) {
+	return typeof value === 'string' ? value.split(',') : value;
+}
+
+/**
+ * Build query string from query parameters. Lists become comma separated values and objects
+ * become parameter families, so `{ fields: { article: ['title'] } }` becomes
+ * `fields%5Barticle%5D=title`.
+ *
+ * @param {QueryParameters} parameters The query parameters.
+ *
+ * @returns {string} Encoded query string without leading `?`.
+ */
+function buildQuery(parameters) {
+	const { include, fields, sort, ...otherParameters } = parameters;
+	/** @type {string[]} */
+	const pairs = [];
+	appendParameter(pairs, 'include', toList(include));
+	if (fields) {
+		for (const [type, typeFields] of Object.entries(fields)) {
+			appendParameter(pairs, `fields${encodeValue(`[${type}]`)}`, toList(typeFields));
+		}
+	}
+	appendParameter(pairs, 'sort', toList(sort));
+	for (const [key, value] of Object.entries(otherParameters)) {
+		appendParameter(pairs, encodeValue(key), value);
+	}
+	return pairs.join('&');
+}
+
+/**
+ * Set value of parameter at path of nested objects. Paths which would reach prototypes are
+ * skipped.
+ *
+ * @param {QueryParameterObject} parameters
+ * @param {string[]} path
+ * @param {QueryParameterValue} value
+ */
+function setParameter(parameters, path, value) {
+	if (path.some((segment) => unsafeSegments.has(segment))) {
+		return;
+	}
+	let node = parameters;
+	for (const key of path.slice(0, -1)) {
+		const child = node[key];
+		if (typeof child !== 'object' || child === null || Array.isArray(child)) {
+			node[key] = {};
+		}
+		node = /** @type {QueryParameterObject} */ (node[key]);
+	}
+	node[/** @type {string} */ (path.at(-1))] = value;
+}
+
+/**
+ * Parse query string into query parameters. Values of `include`, `sort` and `fields` are parsed
+ * into lists, all other values are kept as strings, so numbers and lists of other parameters,
+ * like `filter` and `page`, are not restored. Parameters with `__proto__`, `constructor` or
+ * `prototype` in their path are skipped.
+ *
+ * @param {string} query The query string, with or without leading `?`.
+ *
+ * @returns {QueryParameters} The query parameters.
+ */
+function parseQuery(query) {
+	/** @type {QueryParameters} */
+	const parameters = {};
+	const search = query.startsWith('?') ? query.slice(1) : query;
+	for (const pair of search.split('&').filter((item) => item !== '')) {
+		const [rawName = '', ...rawValues] = pair.split('=');
+		const rawValue = rawValues.join('=');
+		const name = decodeValue(rawName);
+		const { key = name, brackets = '' } =
+			/^(?<key>[^[\]]*)(?<brackets>(?:\[[^[\]]*\])*)$/u.exec(name)?.groups ?? {};
+		const segments = Array.from(
+			brackets.matchAll(/\[(?<segment>[^[\]]*)\]/gu),
+			({ groups: { segment = '' } = {} }) => segment
+		);
+		const path = [key, ...segments];
+		const isList = listParameters.has(key) || (key === 'fields' && path.length === 2);
+		const value = isList
+			? rawValue
+					.split(',')
+					.filter((item) => item !== '')
+					.map((item) => decodeValue(item))
+			: decodeValue(rawValue);
+		setParameter(parameters, path, value);
+	}
+	return parameters;
+}
+
+export { buildQuery, parseQuery };
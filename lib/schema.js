@@ -0,0 +1,143 @@
+import resolveMergeOptions from './merge.js';
+
+/**
+ * @typedef {import('./merge.js').MergeStrategy} MergeStrategy
+ * @typedef {import('./merge.js').ConflictStrategy} ConflictStrategy
+ * @typedef {import('./merge.js').MergeOptions} MergeOptions
+ *
+ * @typedef {object} Transform
+ * @property {(value: any) => any} deserialize Convert value received from API.
+ * @property {(value: any) => any} serialize Convert value sent to API.
+ *
+ * @typedef {object} AttributeDefinition
+ * @property {(string|Transform)=} type Name of the transform or custom transform.
+ * @property {any=} default Value used when attribute is missing from synced record. Functions are called to get the value.
+ *
+ * @typedef {object} RelationshipDefinition
+ * @property {string=} type The type of the related models.
+ * @property {'one'|'many'} kind Whether relationship is to-one or to-many.
+ * @property {string=} inverse The name of the relationship on related models which links back to the model.
+ *
+ * @typedef {object} SchemaDefinition
+ * @property {{[x: string]: string|Transform|AttributeDefinition}=} attributes Attribute definitions.
+ * @property {{[x: string]: RelationshipDefinition}=} relationships Relationship definitions.
+ * @property {MergeStrategy=} strategy How synced records are merged into models. (Default: `merge`).
+ * @property {ConflictStrategy=} conflicts Whether fields with unsaved local changes take the server value or keep the local value. (Default: `server`).
+ *
+ * @typedef {object} AttributeSchema
+ * @property {?Transform} transform
+ * @property {boolean} hasDefault
+ * @property {any} default
+ *
+ * @typedef {object} Schema
+ * @property {{[x: string]: AttributeSchema}} attributes
+ * @property {{[x: string]: RelationshipDefinition}} relationships
+ * @property {MergeOptions} merge
+ */
+
+/**
+ * @param {(value: any) => any} convert
+ *
+ * @returns {Transform}
+ */
+function createPrimitiveTransform(convert) {
+	const transform = (/** @type {any} */ value) => {
+		if (typeof value === 'undefined' || value === null) {
+			return value;
+		}
+		return convert(value);
+	};
+	return { deserialize: transform, serialize: transform };
+}
+
+/** @type {{[x: string]: Transform}} */
+const builtinTransforms = {
+	string: createPrimitiveTransform(String),
+	number: createPrimitiveTransform(Number),
+	boolean: createPrimitiveTransform(Boolean),
+	date: {
+		deserialize: (value) => {
+			if (typeof value === 'undefined' || value === null) {
+				return value;
+			}
+			const date = new Date(value);
+			// Value which is not a date is kept as received, so it's sent back unchanged
+			return Number.isNaN(date.getTime()) ? value : date;
+		},
+		serialize: (value) => {
+			if (value instanceof Date) {
+				return Number.isNaN(value.getTime()) ? null : value.toISOString();
+			}
+			return value;
+		}
+	}
+};
+
+/**
+ * @param {any} value
+ *
+ * @returns {value is Transform}
+ */
+function isTransform(value) {
+	return typeof value?.deserialize === 'function' && typeof value?.serialize === 'function';
+}
+
+/**
+ * @param {string|Transform|undefined} type Name of the transform or custom transform.
+ * @param {{[x: string]: Transform}} transforms Registered custom transforms.
+ *
+ * @returns {?Transform}
+ */
+function resolveTransform(type, transforms) {
+	if (typeof type === 'undefined') {
+		return null;
+	}
+	if (isTransform(type)) {
+		return type;
+	}
+	const transform = transforms[type] ?? builtinTransforms[type];
+	if (!transform) {
+		throw new TypeError(`Unknown transform "${type}".`);
+	}
+	return transform;
+}
+
+/**
+ * Create schema from schema definition.
+ *
+ * @param {SchemaDefinition} definition Schema definition.
+ * @param {{[x: string]: Transform}} transforms Registered custom transforms.
+ *
+ * @returns {Schema}
+ */
+function createSchema(definition, transforms) {
+	/** @type {Schema} */
+	const schema = {
+		attributes: {},
+		relationships: {},
+		merge: resolveMergeOptions({
+			strategy: definition.strategy,
+			conflicts: definition.conflicts
+		})
+	};
+	for (const [key, attribute] of Object.entries(definition.attributes ?? {})) {
+		const attributeDefinition =
+			typeof attribute === 'string' || isTransform(attribute)
+				? { type: attribute }
+				: attribute;
+		schema.attributes[key] = {
+			transform: resolveTransform(attributeDefinition.type, transforms),
+			hasDefault: 'default' in attributeDefinition,
+			default: attributeDefinition.default
+		};
+	}
+	for (const [key, relationship] of Object.entries(definition.relationships ?? {})) {
+		if (relationship.kind !== 'one' && relationship.kind !== 'many') {
+			throw new TypeError(`Expected kind of "${key}" relationship to be "one" or "many".`);
+		}
+		schema.relationships[key] = { ...relationship };
+	}
+	return schema;
+}
+
+export default createSchema;
@@ -0,0 +1,450 @@
+/* eslint-disable dot-notation */
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} pointer JSON pointer to the invalid member of the document.
+ * @property {string} message Description of the violation.
+ *
+ * @typedef {{resource: {[x: string]: any}, pointer: string}} ResourceEntry
+ */
+
+const topLevelMembers = ['data', 'errors', 'meta', 'jsonapi', 'links', 'included'];
+const resourceMembers = ['type', 'id', 'lid', 'attributes', 'relationships', 'links', 'meta'];
+const identifierMembers = ['type', 'id', 'lid', 'meta'];
+const relationshipMembers = ['data', 'links', 'meta'];
+const errorMembers = ['id', 'links', 'status', 'code', 'title', 'detail', 'source', 'meta'];
+
+class DocumentValidationError extends Error {
+	/**
+	 * @param {ValidationIssue[]} errors Found violations.
+	 */
+	constructor(errors) {
+		const [error] = errors;
+		super(`Invalid JSON:API document: ${error?.message} (${error?.pointer}).`);
+		this.name = 'DocumentValidationError';
+		this.errors = errors;
+	}
+}
+
+/**
+ * @param {any} value
+ *
+ * @returns {value is {[x: string]: any}}
+ */
+function isObject(value) {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {string} pointer
+ * @param {string|number} key
+ */
+function join(pointer, key) {
+	return `${pointer}/${String(key).replaceAll('~', '~0').replaceAll('/', '~1')}`;
+}
+
+/**
+ * Check that object contains only allowed members. Extension members (e.g. `ext:member`) are
+ * always allowed.
+ *
+ * @param {{[x: string]: any}} object
+ * @param {string[]} members Allowed members.
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateMembers(object, members, pointer, issues) {
+	for (const key of Object.keys(object)) {
+		if (!members.includes(key) && !key.includes(':')) {
+			issues.push({ pointer: join(pointer, key), message: `Unexpected member "${key}"` });
+		}
+	}
+}
+
+/**
+ * @param {any} meta
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateMeta(meta, pointer, issues) {
+	if (typeof meta !== 'undefined' && !isObject(meta)) {
+		issues.push({ pointer: pointer, message: 'Meta must be an object' });
+	}
+}
+
+/**
+ * @param {any} links
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateLinks(links, pointer, issues) {
+	if (typeof links === 'undefined') {
+		return;
+	}
+	if (!isObject(links)) {
+		issues.push({ pointer: pointer, message: 'Links must be an object' });
+		return;
+	}
+	for (const [key, link] of Object.entries(links)) {
+		const linkPointer = join(pointer, key);
+		if (isObject(link) && typeof link['href'] === 'string') {
+			validateMeta(link['meta'], join(linkPointer, 'meta'), issues);
+		} else if (link !== null && typeof link !== 'string') {
+			issues.push({
+				pointer: linkPointer,
+				message: 'Link must be a string, null or an object with "href" string'
+			});
+		}
+	}
+}
+
+/**
+ * @param {{[x: string]: any}} object Resource object or resource identifier object.
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateIdentity(object, pointer, issues) {
+	if (typeof object['type'] !== 'string' || object['type'] === '') {
+		issues.push({ pointer: join(pointer, 'type'), message: 'Type must be a non-empty string' });
+	}
+	if (typeof object['id'] === 'undefined' && typeof object['lid'] === 'undefined') {
+		issues.push({ pointer: join(pointer, 'id'), message: 'Id must be present' });
+	}
+	if (typeof object['id'] !== 'undefined' && typeof object['id'] !== 'string') {
+		issues.push({ pointer: join(pointer, 'id'), message: 'Id must be a string' });
+	}
+	if (typeof object['lid'] !== 'undefined' && typeof object['lid'] !== 'string') {
+		issues.push({ pointer: join(pointer, 'lid'), message: 'Local id must be a string' });
+	}
+}
+
+/**
+ * @param {any} identifier
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateIdentifier(identifier, pointer, issues) {
+	if (!isObject(identifier)) {
+		issues.push({
+			pointer: pointer,
+			message: 'Resource linkage must be a resource identifier object'
+		});
+		return;
+	}
+	validateMembers(identifier, identifierMembers, pointer, issues);
+	validateIdentity(identifier, pointer, issues);
+	validateMeta(identifier['meta'], join(pointer, 'meta'), issues);
+}
+
+/**
+ * @param {any} relationship
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateRelationship(relationship, pointer, issues) {
+	if (!isObject(relationship)) {
+		issues.push({ pointer: pointer, message: 'Relationship must be an object' });
+		return;
+	}
+	if (!relationshipMembers.some((key) => key in relationship)) {
+		issues.push({
+			pointer: pointer,
+			message: 'Relationship must contain at least one of "data", "links" or "meta"'
+		});
+	}
+	validateMembers(relationship, relationshipMembers, pointer, issues);
+	const { data } = relationship;
+	if (Array.isArray(data)) {
+		for (const [index, identifier] of data.entries()) {
+			validateIdentifier(identifier, join(join(pointer, 'data'), index), issues);
+		}
+	} else if (data !== null && typeof data !== 'undefined') {
+		validateIdentifier(data, join(pointer, 'data'), issues);
+	}
+	validateLinks(relationship['links'], join(pointer, 'links'), issues);
+	validateMeta(relationship['meta'], join(pointer, 'meta'), issues);
+}
+
+/**
+ * @param {any} resource
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateResource(resource, pointer, issues) {
+	if (!isObject(resource)) {
+		issues.push({ pointer: pointer, message: 'Resource must be an object' });
+		return;
+	}
+	validateMembers(resource, resourceMembers, pointer, issues);
+	validateIdentity(resource, pointer, issues);
+	const { attributes = {}, relationships = {} } = resource;
+	const attributeKeys = validateAttributes(attributes, join(pointer, 'attributes'), issues);
+	validateRelationships(relationships, attributeKeys, join(pointer, 'relationships'), issues);
+	validateLinks(resource['links'], join(pointer, 'links'), issues);
+	validateMeta(resource['meta'], join(pointer, 'meta'), issues);
+}
+
+/**
+ * @param {any} attributes
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ *
+ * @returns {string[]} Names of the attributes.
+ */
+function validateAttributes(attributes, pointer, issues) {
+	if (!isObject(attributes)) {
+		issues.push({ pointer: pointer, message: 'Attributes must be an object' });
+		return [];
+	}
+	const attributeKeys = Object.keys(attributes);
+	for (const key of attributeKeys) {
+		if (['type', 'id', 'lid', 'relationships', 'links'].includes(key)) {
+			issues.push({
+				pointer: join(pointer, key),
+				message: `Attribute must not be named "${key}"`
+			});
+		}
+	}
+	return attributeKeys;
+}
+
+/**
+ * @param {any} relationships
+ * @param {string[]} attributeKeys Names of the attributes of the resource.
+ * @param {string} pointer
+ * @param {ValidationIssue[]} issues
+ */
+function validateRelationships(relationships, attributeKeys, pointer, issues) {
+	if (!isObject(relationships)) {
+		issues.push({ pointer: pointer, message: 'Relationships must be an object' });
+		return;
+	}
+	for (const [key, relationship] of Object.entries(relationships)) {
+		const relationshipPointer = join(pointer, key);
+		if (['type', 'id', 'lid'].includes(key) || attributeKeys.includes(key)) {
+			issues.push({
+				pointer: relationshipPointer,
+				message: `Relationship must not be named "${key}"`
+			});
+		}
+		validateRelationship(relationship, relationshipPointer, issues);
+	}
+}
+
+/**
+ * @param {any} errors
+ * @param {ValidationIssue[]} issues
+ */
+function validateErrors(errors, issues) {
+	if (!Array.isArray(errors)) {
+		issues.push({ pointer: '/errors', message: 'Errors must be an array' });
+		return;
+	}
+	for (const [index, error] of errors.entries()) {
+		const pointer = join('/errors', index);
+		if (isObject(error)) {
+			validateMembers(error, errorMembers, pointer, issues);
+			validateLinks(error['links'], join(pointer, 'links'), issues);
+			validateMeta(error['meta'], join(pointer, 'meta'), issues);
+		} else {
+			issues.push({ pointer: pointer, message: 'Error must be an object' });
+		}
+	}
+}
+
+/**
+ * @param {{[x: string]: any}} resource Resource object or resource identifier object.
+ */
+function identify(resource) {
+	return `${resource['type']}:${resource['id'] ?? resource['lid']}`;
+}
+
+/**
+ * @param {{[x: string]: any}} resource
+ *
+ * @returns {{[x: string]: any}[]} Resource identifier objects of all relationships.
+ */
+function linkedIdentifiers(resource) {
+	return Object.values(resource['relationships'] ?? {}).flatMap(
+		(relationship) => relationship?.data ?? []
+	);
+}
+
+/**
+ * Check that resources are unique.
+ *
+ * @param {ResourceEntry[]} entries Primary and included resources.
+ * @param {ValidationIssue[]} issues
+ *
+ * @returns {Map<string, {[x: string]: any}>} Resources by their type and id.
+ */
+function indexResources(entries, issues) {
+	/** @type {Map<string, {[x: string]: any}>} */
+	const resources = new Map();
+	for (const { resource, pointer } of entries) {
+		const key = identify(resource);
+		if (resources.has(key)) {
+			issues.push({ pointer: pointer, message: `Resource "${key}" is duplicated` });
+		}
+		resources.set(key, resource);
+	}
+	return resources;
+}
+
+/**
+ * Check that resources are unique and that every included resource is linked from primary data
+ * or other included resource (full linkage).
+ *
+ * @param {ResourceEntry[]} primary Primary resources.
+ * @param {ResourceEntry[]} included Included resources.
+ * @param {ValidationIssue[]} issues
+ */
+function validateLinkage(primary, included, issues) {
+	const resources = indexResources([...primary, ...included], issues);
+	const linked = new Set(primary.map(({ resource }) => identify(resource)));
+	const queue = primary.map(({ resource }) => resource);
+	while (queue.length !== 0) {
+		const resource = /** @type {{[x: string]: any}} */ (queue.shift());
+		for (const identifier of linkedIdentifiers(resource)) {
+			const key = identify(identifier);
+			const linkedResource = resources.get(key);
+			if (!linked.has(key) && linkedResource) {
+				linked.add(key);
+				queue.push(linkedResource);
+			}
+		}
+	}
+
+	for (const { resource, pointer } of included) {
+		const key = identify(resource);
+		if (!linked.has(key)) {
+			issues.push({
+				pointer: pointer,
+				message: `Included resource "${key}" is not linked from primary data or other included resources`
+			});
+		}
+	}
+}
+
+/**
+ * Check which of top level members document contains together.
+ *
+ * @param {{[x: string]: any}} payload
+ * @param {ValidationIssue[]} issues
+ */
+function validateTopLevel(payload, issues) {
+	const hasData = 'data' in payload;
+	const hasErrors = 'errors' in payload;
+	const hasAtomic = 'atomic:operations' in payload || 'atomic:results' in payload;
+	if (!hasData && !hasErrors && !hasAtomic && !('meta' in payload)) {
+		issues.push({
+			pointer: '',
+			message: 'Document must contain at least one of "data", "errors" or "meta"'
+		});
+	}
+	if (hasData && hasErrors) {
+		issues.push({
+			pointer: '/errors',
+			message: 'Document must not contain both "data" and "errors"'
+		});
+	}
+	if ('included' in payload && !hasData) {
+		issues.push({
+			pointer: '/included',
+			message: 'Document without "data" must not contain "included"'
+		});
+	}
+}
+
+/**
+ * @param {any} data
+ *
+ * @returns {ResourceEntry[]} Primary resources.
+ */
+function collectPrimary(data) {
+	if (Array.isArray(data)) {
+		return data.map((resource, index) => ({
+			resource: resource,
+			pointer: join('/data', index)
+		}));
+	}
+	if (data === null || typeof data === 'undefined') {
+		return [];
+	}
+	return [{ resource: data, pointer: '/data' }];
+}
+
+/**
+ * @param {any} included
+ * @param {ValidationIssue[]} issues
+ *
+ * @returns {ResourceEntry[]} Included resources.
+ */
+function collectIncluded(included, issues) {
+	if (typeof included === 'undefined') {
+		return [];
+	}
+	if (!Array.isArray(included)) {
+		issues.push({ pointer: '/included', message: 'Included must be an array' });
+		return [];
+	}
+	return included.map((resource, index) => ({
+		resource: resource,
+		pointer: join('/included', index)
+	}));
+}
+
+/**
+ * @param {any} jsonapi
+ * @param {ValidationIssue[]} issues
+ */
+function validateJsonApi(jsonapi, issues) {
+	if (typeof jsonapi === 'undefined') {
+		return;
+	}
+	if (!isObject(jsonapi)) {
+		issues.push({ pointer: '/jsonapi', message: 'JSON:API object must be an object' });
+	} else if (
+		typeof jsonapi['version'] !== 'undefined' &&
+		typeof jsonapi['version'] !== 'string'
+	) {
+		issues.push({ pointer: '/jsonapi/version', message: 'Version must be a string' });
+	}
+}
+
+/**
+ * Validate JSON:API document against specification.
+ *
+ * @param {any} payload The JSON API payload.
+ *
+ * @returns {ValidationIssue[]} Found violations, empty if document is valid.
+ */
+function validateDocument(payload) {
+	/** @type {ValidationIssue[]} */
+	const issues = [];
+	if (!isObject(payload)) {
+		issues.push({ pointer: '', message: 'Document must be an object' });
+		return issues;
+	}
+	validateMembers(payload, topLevelMembers, '', issues);
+	validateTopLevel(payload, issues);
+
+	const primary = collectPrimary(payload['data']);
+	const included = collectIncluded(payload['included'], issues);
+	for (const { resource, pointer } of [...primary, ...included]) {
+		validateResource(resource, pointer, issues);
+	}
+	if ('errors' in payload) {
+		validateErrors(payload['errors'], issues);
+	}
+	if (issues.length === 0) {
+		validateLinkage(primary, included, issues);
+	}
+
+	validateLinks(payload['links'], '/links', issues);
+	validateMeta(payload['meta'], '/meta', issues);
+	validateJsonApi(payload['jsonapi'], issues);
+
+	return issues;
+}
+
+export { validateDocument, DocumentValidationError };
@@ -0,0 +1,166 @@
+import assert from 'node:assert';
+import { Store, Model, serializeOperations, validateDocument } from '../index.js';
+
+/**
+ * @typedef {Model & {title: string, slug: string, author: ?Model, tags: Model[]}} Article
+ */
+
+describe('serializeOperations()', function () {
+	it('should serialize resource operations', function () {
+		const store = new Store();
+		store.sync({
+			data: { type: 'article', id: '1', attributes: { title: 'Cool article', body: 'Text' } }
+		});
+		const article = /** @type {Article} */ (store.find('article', '1'));
+		article.setAttribute('title', 'Cooler article');
+		const tag = store.initModel('tag', '1');
+		assert.deepEqual(
+			serializeOperations([
+				{ op: 'update', model: article, onlyChanged: true },
+				{ op: 'remove', model: tag, meta: { reason: 'unused' } }
+			]),
+			{
+				'atomic:operations': [
+					{
+						op: 'update',
+						data: { type: 'article', id: '1', attributes: { title: 'Cooler article' } }
+					},
+					{ op: 'remove', ref: { type: 'tag', id: '1' }, meta: { reason: 'unused' } }
+				]
+			}
+		);
+	});
+
+	it('should reference new models by lid', function () {
+		const author = new Model('user');
+		author.lid = 'user-1';
+		author.setAttribute('name', 'Jane');
+		const article = new Model('article');
+		article.lid = 'article-1';
+		article.setRelationship('author', author);
+		assert.deepEqual(
+			serializeOperations([
+				{ op: 'add', model: author },
+				{ op: 'add', model: article }
+			]),
+			{
+				'atomic:operations': [
+					{
+						op: 'add',
+						data: { type: 'user', lid: 'user-1', attributes: { name: 'Jane' } }
+					},
+					{
+						op: 'add',
+						data: {
+							type: 'article',
+							lid: 'article-1',
+							relationships: { author: { data: { type: 'user', lid: 'user-1' } } }
+						}
+					}
+				]
+			}
+		);
+	});
+
+	it('should serialize relationship operations', function () {
+		const store = new Store();
+		const article = /** @type {Article} */ (store.initModel('article', '1'));
+		const tags = [store.initModel('tag', '1'), store.initModel('tag', '2')];
+		article.setRelationship('author', store.initModel('user', '1'));
+		assert.deepEqual(
+			serializeOperations([
+				{ op: 'update', model: article, relationship: 'author' },
+				{ op: 'add', model: article, relationship: 'tags', models: tags }
+			]),
+			{
+				'atomic:operations': [
+					{
+						op: 'update',
+						ref: { type: 'article', id: '1', relationship: 'author' },
+						data: { type: 'user', id: '1' }
+					},
+					{
+						op: 'add',
+						ref: { type: 'article', id: '1', relationship: 'tags' },
+						data: [
+							{ type: 'tag', id: '1' },
+							{ type: 'tag', id: '2' }
+						]
+					}
+				]
+			}
+		);
+	});
+
+	it('should throw for models without id and lid', function () {
+		assert.throws(() => serializeOperations([{ op: 'remove', model: new Model('tag') }]), {
+			name: 'TypeError',
+			message: 'Expected "tag" model to have id or lid.'
+		});
+	});
+
+	it('should throw for unknown operation', function () {
+		/** @type {any} */
+		const operation = { op: 'replace', model: new Model('tag', '1') };
+		assert.throws(() => serializeOperations([operation]), {
+			name: 'TypeError',
+			message: 'Unknown operation "replace".'
+		});
+	});
+});
+
+describe('Store', function () {
+	describe('.sync()', function () {
+		it('should sync atomic results in order', function () {
+			const store = new Store();
+			store.sync({
+				'atomic:results': [
+					{ data: { type: 'article', id: '2', attributes: { title: 'Second' } } },
+					{},
+					{ data: { type: 'article', id: '1', attributes: { title: 'First' } } }
+				]
+			});
+			assert.deepEqual(
+				store.findAll('article').map((article) => article.id),
+				['2', '1']
+			);
+		});
+
+		it('should apply atomic results to models of sent operations', function () {
+			const store = new Store();
+			const removedArticle = store.initModel('article', '1');
+			const article = /** @type {Article} */ (new Model('article'));
+			article.lid = 'article-2';
+			article.setAttribute('title', 'Cool article');
+			const operations = /** @type {import('../lib/atomic.js').Operation[]} */ ([
+				{ op: 'add', model: article },
+				{ op: 'remove', model: removedArticle }
+			]);
+			store.sync(
+				{
+					'atomic:results': [
+						{
+							data: {
+								type: 'article',
+								id: '2',
+								lid: 'article-2',
+								attributes: { title: 'Cool article', slug: 'cool-article' }
+							}
+						},
+						{}
+					]
+				},
+				{ operations }
+			);
+			assert.equal(store.find('article', '2'), article);
+			assert.equal(article.id, '2');
+			assert.equal(article.slug, 'cool-article');
+			assert.equal(article.isDirty, false);
+			assert.equal(store.find('article', '1'), null);
+		});
+
+		it('should accept atomic results in strict mode', function () {
+			assert.deepEqual(validateDocument({ 'atomic:results': [{}] }), []);
+		});
+	});
+});
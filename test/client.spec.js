@@ -0,0 +1,281 @@
+/* eslint-disable dot-notation */
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+import { createClient, RequestError } from '../lib/client.js';
+
+/**
+ * @typedef {Model & {title: string}} Article
+ * @typedef {{url: string, method: string, headers: {[x: string]: string}, body: any}} SentRequest
+ */
+
+/**
+ * @param {{status: number, body?: any}[]} responses Responses returned in order.
+ */
+const createFetch = (responses) => {
+	/** @type {SentRequest[]} */
+	const requests = [];
+	/** @type {typeof globalThis.fetch} */
+	const mockFetch = async (url, init = {}) => {
+		requests.push({
+			url: String(url),
+			method: init.method ?? 'GET',
+			headers: /** @type {{[x: string]: string}} */ (init.headers),
+			body: typeof init.body === 'string' ? JSON.parse(init.body) : null
+		});
+		const { status, body } = responses.shift() ?? { status: 500 };
+		return new Response(typeof body === 'undefined' ? null : JSON.stringify(body), { status });
+	};
+	return { mockFetch, requests };
+};
+
+describe('createClient()', function () {
+	describe('.find()', function () {
+		it('should request resource and sync it', async function () {
+			const store = new Store();
+			const { mockFetch, requests } = createFetch([
+				{
+					status: 200,
+					body: { data: { type: 'article', id: '1', attributes: { title: 'Hi' } } }
+				}
+			]);
+			const client = createClient({
+				baseUrl: 'https://example.com/api/',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = /** @type {Article} */ (
+				await client.find('article', '1', { include: ['author'] })
+			);
+			assert.equal(requests[0]?.url, 'https://example.com/api/article/1?include=author');
+			assert.equal(requests[0]?.method, 'GET');
+			assert.equal(requests[0]?.headers['Accept'], 'application/vnd.api+json');
+			assert.equal(article, store.find('article', '1'));
+			assert.equal(article.title, 'Hi');
+		});
+	});
+
+	describe('.findAll()', function () {
+		it('should request collection and sync it', async function () {
+			const store = new Store();
+			const { mockFetch, requests } = createFetch([
+				{
+					status: 200,
+					body: {
+						data: [
+							{ type: 'article', id: '1' },
+							{ type: 'article', id: '2' }
+						]
+					}
+				}
+			]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const articles = await client.findAll('article', { page: { number: 2 } });
+			assert.equal(requests[0]?.url, 'https://example.com/article?page%5Bnumber%5D=2');
+			assert.deepEqual(articles, store.findAll('article'));
+		});
+	});
+
+	describe('.create()', function () {
+		it('should send model and sync created resource', async function () {
+			const store = new Store();
+			const { mockFetch, requests } = createFetch([
+				{
+					status: 201,
+					body: { data: { type: 'article', id: '1', attributes: { title: 'Hi' } } }
+				}
+			]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = /** @type {Article} */ (store.initModel('article'));
+			article.setAttribute('title', 'Hi');
+			await client.create(article);
+			assert.equal(requests[0]?.method, 'POST');
+			assert.equal(requests[0]?.url, 'https://example.com/article');
+			assert.equal(requests[0]?.headers['Content-Type'], 'application/vnd.api+json');
+			assert.deepEqual(requests[0]?.body, {
+				data: { type: 'article', lid: article.lid, attributes: { title: 'Hi' } }
+			});
+			assert.equal(article.id, '1');
+			assert.equal(store.find('article', '1'), article);
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should treat sent model as synced for 204 response', async function () {
+			const store = new Store();
+			const { mockFetch } = createFetch([{ status: 204 }]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = /** @type {Article} */ (store.initModel('article', '1'));
+			article.setAttribute('title', 'Hi');
+			await client.create(article);
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should map error document onto model and throw', async function () {
+			const store = new Store();
+			const { mockFetch } = createFetch([
+				{
+					status: 422,
+					body: {
+						errors: [
+							{
+								status: '422',
+								title: 'Title is too short',
+								source: { pointer: '/data/attributes/title' }
+							}
+						]
+					}
+				}
+			]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = /** @type {Article} */ (store.initModel('article'));
+			article.setAttribute('title', 'H');
+			await assert.rejects(client.create(article), (error) => {
+				assert.ok(error instanceof RequestError);
+				assert.equal(error.status, 422);
+				assert.equal(error.message, 'Request failed with status 422: Title is too short.');
+				return true;
+			});
+			assert.deepEqual(Object.keys(article.errors), ['title']);
+		});
+
+		it('should resolve with model of the store for model which store does not hold', async function () {
+			const store = new Store();
+			const { mockFetch } = createFetch([
+				{
+					status: 201,
+					body: { data: { type: 'article', id: '7', attributes: { title: 'Hi' } } }
+				}
+			]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = new Model('article');
+			const created = await client.create(article);
+			assert.notEqual(created, article);
+			assert.equal(created, store.find('article', '7'));
+			assert.equal(/** @type {Article} */ (created).title, 'Hi');
+		});
+	});
+
+	describe('.update()', function () {
+		it('should send changed fields and clear errors', async function () {
+			const store = new Store();
+			store.sync({
+				data: { type: 'article', id: '1', attributes: { title: 'Hi', body: '' } }
+			});
+			const { mockFetch, requests } = createFetch([{ status: 204 }]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			article.setErrors([{ detail: 'Invalid.' }]);
+			article.setAttribute('title', 'Hello');
+			await client.update(article, { onlyChanged: true });
+			assert.equal(requests[0]?.method, 'PATCH');
+			assert.equal(requests[0]?.url, 'https://example.com/article/1');
+			assert.deepEqual(requests[0]?.body, {
+				data: { type: 'article', id: '1', attributes: { title: 'Hello' } }
+			});
+			assert.equal(article.isDirty, false);
+			assert.equal(article.hasErrors, false);
+		});
+
+		it('should reject model without id before sending request', async function () {
+			const store = new Store();
+			const { mockFetch, requests } = createFetch([{ status: 204 }]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = store.initModel('article');
+			await assert.rejects(client.update(article), /Expected "article" model to have id/);
+			assert.equal(requests.length, 0);
+		});
+	});
+
+	describe('.delete()', function () {
+		it('should delete resource and destroy model', async function () {
+			const store = new Store();
+			const { mockFetch, requests } = createFetch([{ status: 204 }]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = store.initModel('article', '1');
+			await client.delete(article);
+			assert.equal(requests[0]?.method, 'DELETE');
+			assert.equal(requests[0]?.url, 'https://example.com/article/1');
+			assert.equal(requests[0]?.body, null);
+			assert.equal(store.find('article', '1'), null);
+		});
+
+		it('should keep model when request fails', async function () {
+			const store = new Store();
+			const { mockFetch } = createFetch([{ status: 500 }]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = store.initModel('article', '1');
+			await assert.rejects(client.delete(article), /Request failed with status 500\./);
+			assert.equal(store.find('article', '1'), article);
+		});
+
+		it('should reject model without id before sending request', async function () {
+			const store = new Store();
+			const { mockFetch, requests } = createFetch([{ status: 204 }]);
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: mockFetch,
+				store: store
+			});
+			const article = store.initModel('article');
+			await assert.rejects(client.delete(article), /Expected "article" model to have id/);
+			assert.equal(requests.length, 0);
+		});
+
+		it('should throw request error for response which is not JSON', async function () {
+			const store = new Store();
+			const client = createClient({
+				baseUrl: 'https://example.com',
+				fetch: async () =>
+					new Response('<html><body>Bad Gateway</body></html>', {
+						status: 502,
+						headers: { 'Content-Type': 'text/html' }
+					}),
+				store: store
+			});
+			const article = store.initModel('article', '1');
+			await assert.rejects(client.delete(article), (error) => {
+				assert.ok(error instanceof RequestError);
+				assert.equal(error.status, 502);
+				assert.deepEqual(error.errors, []);
+				assert.equal(error.document, null);
+				return true;
+			});
+			assert.equal(store.find('article', '1'), article);
+		});
+	});
+});
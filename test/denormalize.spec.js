@@ -0,0 +1,172 @@
+/* eslint-disable dot-notation */
+
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+describe('Store', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1',
+			attributes: { title: 'Cool article', publishedAt: '2021-04-21T00:00:00.000Z' },
+			relationships: {
+				author: { data: { type: 'user', id: '1' } },
+				tags: { data: [] }
+			}
+		},
+		included: [
+			{
+				type: 'user',
+				id: '1',
+				attributes: { name: 'Jane' },
+				relationships: {
+					articles: { data: [{ type: 'article', id: '1' }] },
+					avatar: { data: null }
+				}
+			}
+		]
+	};
+
+	const createStore = () => {
+		const store = new Store();
+		store.define('article', { attributes: { publishedAt: 'date' } });
+		store.sync(structuredClone(payload));
+		return store;
+	};
+
+	describe('.denormalize()', function () {
+		it('should nest requested relationships', function () {
+			const store = createStore();
+			assert.deepEqual(store.denormalize('article', '1', { include: 'author' }), {
+				type: 'article',
+				id: '1',
+				title: 'Cool article',
+				publishedAt: '2021-04-21T00:00:00.000Z',
+				author: {
+					type: 'user',
+					id: '1',
+					name: 'Jane'
+				}
+			});
+		});
+
+		it('should stop on cycles by default', function () {
+			const store = createStore();
+			const article = store.denormalize('article', '1', { include: 'author.articles' });
+			assert.deepEqual(article?.['author']?.articles, []);
+		});
+
+		it('should reference cyclic models by identifier', function () {
+			const store = createStore();
+			const article = store.denormalize('article', '1', {
+				include: 'author.articles',
+				cycles: 'reference'
+			});
+			assert.deepEqual(article?.['author']?.articles, [{ type: 'article', id: '1' }]);
+		});
+
+		it('should throw on cycles', function () {
+			const store = createStore();
+			assert.throws(
+				() =>
+					store.denormalize('article', '1', {
+						include: 'author.articles',
+						cycles: 'throw'
+					}),
+				{
+					message:
+						'Relationship "articles" of "user" model creates a cycle, which can\'t be denormalized.'
+				}
+			);
+		});
+
+		it('should nest all relationships up to given depth', function () {
+			const store = createStore();
+			assert.deepEqual(store.denormalize('article', '1', { depth: 1 }), {
+				type: 'article',
+				id: '1',
+				title: 'Cool article',
+				publishedAt: '2021-04-21T00:00:00.000Z',
+				author: { type: 'user', id: '1', name: 'Jane' },
+				tags: []
+			});
+			const article = store.denormalize('article', '1', { depth: 2 });
+			assert.deepEqual(article?.['author'], {
+				type: 'user',
+				id: '1',
+				name: 'Jane',
+				articles: [],
+				avatar: null
+			});
+		});
+
+		it('should use field names of models with inflected keys', function () {
+			const store = new Store({
+				inflection: { keys: { deserialize: 'camelCase', serialize: 'kebab-case' } }
+			});
+			store.sync({
+				data: {
+					type: 'article',
+					id: '1',
+					attributes: { 'published-at': '2021-04-21T00:00:00.000Z' },
+					relationships: { 'main-author': { data: { type: 'user', id: '1' } } }
+				},
+				included: [{ type: 'user', id: '1', attributes: { 'first-name': 'Jane' } }]
+			});
+			const expected = {
+				type: 'article',
+				id: '1',
+				publishedAt: '2021-04-21T00:00:00.000Z',
+				mainAuthor: { type: 'user', id: '1', firstName: 'Jane' }
+			};
+			assert.deepEqual(store.denormalize('article', '1', { depth: 1 }), expected);
+			assert.deepEqual(
+				store.denormalize('article', '1', { include: 'mainAuthor' }),
+				expected
+			);
+		});
+
+		it('should skip include paths which are not relationships', function () {
+			const store = createStore();
+			const article = store.denormalize('article', '1', {
+				include: ['title', 'constructor', 'author.name']
+			});
+			assert.equal(article?.['title'], 'Cool article');
+			assert.deepEqual(article?.['author'], { type: 'user', id: '1', name: 'Jane' });
+			assert.equal(Object.hasOwn(article ?? {}, 'constructor'), false);
+		});
+
+		it('should return null for missing model', function () {
+			const store = createStore();
+			assert.equal(store.denormalize('article', '2'), null);
+		});
+	});
+});
+
+describe('Model', function () {
+	describe('.toPlainObject()', function () {
+		it('should return fresh plain object', function () {
+			const article = /** @type {Model & {tags: string[]}} */ (new Model('article', '1'));
+			article.setAttribute('tags', ['news']);
+			const object = article.toPlainObject();
+			object['tags'].push('sport');
+			assert.deepEqual(article.tags, ['news']);
+			assert.deepEqual(object, { type: 'article', id: '1', tags: ['news', 'sport'] });
+		});
+
+		it('should throw for unknown cycle strategy', function () {
+			const article = new Model('article', '1');
+			/** @type {any} */
+			const options = { cycles: 'ignore' };
+			assert.throws(() => article.toPlainObject(options), {
+				name: 'TypeError',
+				message: 'Unknown cycle strategy "ignore".'
+			});
+		});
+	});
+});
@@ -0,0 +1,164 @@
+/* eslint-disable dot-notation */
+
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ * @typedef {Model & {title: string, tags: string[], author: ?Model, comments: Model[]}} Article
+ */
+
+describe('Model', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1337',
+			attributes: {
+				title: 'Cool article',
+				tags: ['news']
+			},
+			relationships: {
+				author: {
+					data: { type: 'user', id: '1' }
+				},
+				comments: {
+					data: [{ type: 'comment', id: '1' }]
+				}
+			}
+		}
+	};
+
+	const createArticle = () => {
+		const store = new Store();
+		store.sync(payload);
+		const article = /** @type {Article} */ (store.find('article', '1337'));
+		return { store, article };
+	};
+
+	describe('.isDirty', function () {
+		it('should be clean after sync', function () {
+			const { article } = createArticle();
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should be dirty after local changes', function () {
+			const { article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			assert.equal(article.isDirty, true);
+		});
+
+		it('should be clean after local changes are reverted', function () {
+			const { article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			article.setAttribute('title', 'Cool article');
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should be clean after sync of local changes', function () {
+			const { store, article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			store.sync({
+				data: { type: 'article', id: '1337', attributes: { title: 'Cooler article' } }
+			});
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should stay clean when related model is destroyed', function () {
+			const { store, article } = createArticle();
+			store.destroy(store.find('user', '1'));
+			assert.equal(article.author, null);
+			assert.equal(article.isDirty, false);
+		});
+	});
+
+	describe('.changedAttributes()', function () {
+		it('should return synced and current values', function () {
+			const { article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			article.setAttribute('body', 'Lorem ipsum');
+			const changes = article.changedAttributes();
+			assert.deepEqual(Object.keys(changes), ['title', 'body']);
+			assert.deepEqual(changes['title'], ['Cool article', 'Cooler article']);
+			assert.ok(typeof changes['body']?.[0] === 'undefined');
+			assert.equal(changes['body']?.[1], 'Lorem ipsum');
+		});
+
+		it('should detect in place changes', function () {
+			const { article } = createArticle();
+			article.tags.push('sport');
+			assert.deepEqual(article.changedAttributes(), {
+				tags: [['news'], ['news', 'sport']]
+			});
+		});
+
+		it('should treat every attribute of new model as changed', function () {
+			const article = new Model('article');
+			article.setAttribute('title', 'Cool article');
+			const changes = article.changedAttributes();
+			assert.deepEqual(Object.keys(changes), ['title']);
+			assert.ok(typeof changes['title']?.[0] === 'undefined');
+		});
+	});
+
+	describe('.changedRelationships()', function () {
+		it('should return synced and current models', function () {
+			const { store, article } = createArticle();
+			const user = store.initModel('user', '2');
+			const comment = store.initModel('comment', '2');
+			const [firstComment] = article.comments;
+			article.setRelationship('author', user);
+			article.setRelationship('comments', comment);
+			assert.deepEqual(article.changedRelationships(), {
+				author: [store.find('user', '1'), user],
+				comments: [[firstComment], [firstComment, comment]]
+			});
+		});
+
+		it('should not contain unchanged relationships', function () {
+			const { article } = createArticle();
+			assert.deepEqual(article.changedRelationships(), {});
+		});
+	});
+
+	describe('.serialize()', function () {
+		it('should serialize only changed attributes and relationships', function () {
+			const { store, article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			article.setRelationship('author', store.initModel('user', '2'));
+			assert.deepEqual(article.serialize({ onlyChanged: true }), {
+				data: {
+					type: 'article',
+					id: '1337',
+					attributes: {
+						title: 'Cooler article'
+					},
+					relationships: {
+						author: {
+							data: { type: 'user', id: '2' }
+						}
+					}
+				}
+			});
+		});
+
+		it('should serialize only changed attributes from the given list', function () {
+			const { article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			article.setAttribute('body', 'Lorem ipsum');
+			const serializedArticle = article.serialize({
+				onlyChanged: true,
+				attributes: ['body', 'tags']
+			});
+			assert.ok(!Array.isArray(serializedArticle.data));
+			assert.deepEqual(serializedArticle.data?.attributes, { body: 'Lorem ipsum' });
+		});
+
+		it('should serialize bare model when nothing changed', function () {
+			const { article } = createArticle();
+			assert.deepEqual(article.serialize({ onlyChanged: true }), {
+				data: { type: 'article', id: '1337' }
+			});
+		});
+	});
+});
@@ -0,0 +1,117 @@
+/* eslint-disable dot-notation */
+
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+describe('Model', function () {
+	describe('.setErrors()', function () {
+		it('should group errors by attributes and relationships', function () {
+			const article = new Model('article', '1');
+			const titleError = {
+				title: 'Too short',
+				source: { pointer: '/data/attributes/title' }
+			};
+			const authorError = {
+				title: 'Required',
+				source: { pointer: '/data/relationships/author/data' }
+			};
+			const baseError = { title: 'Not allowed' };
+			article.setErrors([titleError, authorError, baseError]);
+			assert.deepEqual(article.errors, {
+				title: [titleError],
+				author: [authorError],
+				base: [baseError]
+			});
+			assert.equal(article.hasErrors, true);
+		});
+
+		it('should treat errors of the whole resource as base errors', function () {
+			const article = new Model('article', '1');
+			article.setErrors([
+				{ title: 'Invalid', source: { pointer: '/data' } },
+				{ title: 'Invalid type', source: { pointer: '/data/type' } },
+				{ title: 'Invalid parameter', source: { parameter: 'include' } }
+			]);
+			assert.deepEqual(Object.keys(article.errors), ['base']);
+			assert.equal(article.errors['base']?.length, 3);
+		});
+
+		it('should notify about changed errors', function () {
+			const article = new Model('article', '1');
+			let count = 0;
+			article.subscribe(() => {
+				count += 1;
+			});
+			article.setErrors([{ title: 'Invalid' }]);
+			article.clearErrors();
+			article.clearErrors();
+			assert.equal(count, 2);
+		});
+	});
+
+	describe('.clearErrors()', function () {
+		it('should remove all errors', function () {
+			const article = new Model('article', '1');
+			article.setErrors([{ title: 'Invalid' }]);
+			article.clearErrors();
+			assert.deepEqual(article.errors, {});
+			assert.equal(article.hasErrors, false);
+		});
+	});
+});
+
+describe('Store', function () {
+	describe('.syncErrors()', function () {
+		/** @type {JSONAPIDocument} */
+		const payload = {
+			errors: [
+				{
+					status: '422',
+					title: 'Title is too short',
+					source: { pointer: '/data/attributes/title' }
+				}
+			]
+		};
+
+		it('should map errors onto sent model', function () {
+			const store = new Store();
+			const article = store.initModel('article', '1');
+			store.syncErrors(payload, article);
+			assert.deepEqual(article.errors, { title: payload.errors });
+			assert.deepEqual(store.errors, payload.errors);
+		});
+
+		it('should map errors onto sent models by index', function () {
+			const store = new Store();
+			const articles = [store.initModel('article', '1'), store.initModel('article', '2')];
+			store.syncErrors(
+				{
+					errors: [
+						{ title: 'Invalid', source: { pointer: '/data/1/attributes/title' } },
+						{ title: 'Invalid', source: { pointer: '/data' } }
+					]
+				},
+				articles
+			);
+			assert.deepEqual(Object.keys(articles[0]?.errors ?? {}), ['base']);
+			assert.deepEqual(Object.keys(articles[1]?.errors ?? {}), ['title', 'base']);
+		});
+
+		it('should notify once about all models with errors', function () {
+			const store = new Store();
+			const articles = [store.initModel('article', '1'), store.initModel('article', '2')];
+			/** @type {import('../index.js').StoreChange[]} */
+			const events = [];
+			store.subscribe((event) => {
+				events.push(event);
+			});
+			store.syncErrors({ errors: [{ title: 'Invalid' }] }, articles);
+			assert.equal(events.length, 1);
+			assert.deepEqual(events[0]?.updated, articles);
+		});
+	});
+});
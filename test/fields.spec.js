@@ -0,0 +1,115 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ * @typedef {Model & {title: ?string, body: string, author: ?Model}} Article
+ */
+
+describe('Model', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1',
+			attributes: { title: null },
+			relationships: {
+				author: { data: { type: 'user', id: '1' } },
+				comments: { links: { related: '/articles/1/comments' } }
+			}
+		}
+	};
+
+	const createArticle = () => {
+		const store = new Store();
+		store.sync(structuredClone(payload));
+		const article = /** @type {Article} */ (store.find('article', '1'));
+		return { store, article };
+	};
+
+	describe('.isLoaded()', function () {
+		it('should distinguish loaded empty fields from fields which were not fetched', function () {
+			const { article } = createArticle();
+			assert.equal(article.isLoaded('title'), true);
+			assert.equal(article.isLoaded('body'), false);
+			assert.equal(article.isLoaded('author'), true);
+			assert.equal(article.isLoaded('comments'), false);
+		});
+
+		it('should not treat local changes as loaded', function () {
+			const { article } = createArticle();
+			article.setAttribute('body', 'Lorem ipsum');
+			assert.equal(article.isLoaded('body'), false);
+		});
+	});
+
+	describe('.loadedFields', function () {
+		it('should accumulate fields from multiple syncs', function () {
+			const { store, article } = createArticle();
+			store.sync({ data: { type: 'article', id: '1', attributes: { body: 'Lorem ipsum' } } });
+			assert.deepEqual(article.loadedFields, ['title', 'author', 'body']);
+		});
+	});
+
+	describe('.isStub', function () {
+		it('should be true only for models created from linkage', function () {
+			const { store, article } = createArticle();
+			const user = /** @type {Model} */ (store.find('user', '1'));
+			assert.equal(user.isStub, true);
+			assert.equal(article.isStub, false);
+			store.sync({ data: { type: 'user', id: '1' } });
+			assert.equal(user.isStub, false);
+		});
+
+		it('should be false for models with local data', function () {
+			const user = new Model('user');
+			assert.equal(user.isStub, true);
+			user.setAttribute('name', 'Jane');
+			assert.equal(user.isStub, false);
+		});
+	});
+});
+
+describe('Store', function () {
+	describe('.missingFields()', function () {
+		it('should list fields missing on models and related models', function () {
+			const store = new Store();
+			store.sync({
+				data: [
+					{
+						type: 'article',
+						id: '1',
+						attributes: { title: 'Cool article' },
+						relationships: { author: { data: { type: 'user', id: '1' } } }
+					},
+					{ type: 'article', id: '2', attributes: { title: 'Cooler article' } }
+				]
+			});
+			const fields = { article: ['title', 'author'], user: ['name'] };
+			assert.deepEqual(store.missingFields(store.findAll('article'), fields), {
+				article: ['author'],
+				user: ['name']
+			});
+			store.sync({ data: { type: 'user', id: '1', attributes: { name: 'Jane' } } });
+			assert.deepEqual(
+				store.missingFields(/** @type {Model} */ (store.find('article', '1')), fields),
+				{}
+			);
+		});
+
+		it('should stop on relationship cycles', function () {
+			const store = new Store();
+			store.sync({
+				data: {
+					type: 'user',
+					id: '1',
+					relationships: { friends: { data: [{ type: 'user', id: '1' }] } }
+				}
+			});
+			const user = /** @type {Model} */ (store.find('user', '1'));
+			assert.deepEqual(store.missingFields(user, { user: ['friends', 'name'] }), {
+				user: ['name']
+			});
+		});
+	});
+});
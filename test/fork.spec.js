@@ -0,0 +1,203 @@
+/* eslint-disable dot-notation */
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {Model & {title?: string, author?: ?Model, comments?: Model[]}} Article
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+/** @type {JSONAPIDocument} */
+const payload = {
+	data: {
+		type: 'article',
+		id: '1',
+		attributes: { title: 'Hello' },
+		relationships: {
+			author: { data: { type: 'user', id: '1' } },
+			comments: { data: [{ type: 'comment', id: '1' }] }
+		}
+	},
+	included: [
+		{ type: 'user', id: '1', attributes: { name: 'Jane' } },
+		{ type: 'comment', id: '1', attributes: { body: 'First' } }
+	]
+};
+
+describe('Store', function () {
+	describe('.fork()', function () {
+		it('should read models of parent without changing them', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const parentArticle = /** @type {Article} */ (store.find('article', '1'));
+			const child = store.fork();
+			const article = /** @type {Article} */ (child.find('article', '1'));
+			assert.notEqual(article, parentArticle);
+			assert.equal(article.title, 'Hello');
+			assert.equal(article.author, child.find('user', '1'));
+			assert.notEqual(article.author, store.find('user', '1'));
+			assert.deepEqual(article.comments, child.findAll('comment'));
+
+			article.setAttribute('title', 'Draft');
+			article.author?.setAttribute('name', 'John');
+			child.sync({ data: { type: 'comment', id: '2', attributes: { body: 'Second' } } });
+			child.destroy(child.find('comment', '1'));
+			assert.equal(parentArticle.title, 'Hello');
+			assert.equal(/** @type {any} */ (store.find('user', '1')).name, 'Jane');
+			assert.equal(store.find('comment', '2'), null);
+			assert.equal(store.findAll('comment').length, 1);
+			assert.equal(parentArticle.comments?.length, 1);
+			assert.deepEqual(
+				child.findAll('comment').map((model) => model.id),
+				['2']
+			);
+		});
+
+		it('should copy linked models only once they are accessed', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const child = store.fork();
+			const [article] = /** @type {Article[]} */ (child.findAll('article'));
+			const parentRecords = store.getSnapshot().types;
+			const records = child.getSnapshot().types;
+			assert.equal(records['user']?.['1'], parentRecords['user']?.['1']);
+			assert.equal(records['comment']?.['1'], parentRecords['comment']?.['1']);
+			assert.deepEqual(records['article']?.['1'], parentRecords['article']?.['1']);
+
+			article?.author?.setAttribute('name', 'John');
+			child.destroy(child.find('comment', '1'));
+			store.sync({ data: { type: 'user', id: '2', attributes: { name: 'Jack' } } });
+			const nextRecords = child.getSnapshot().types;
+			assert.equal(nextRecords['user']?.['1']?.attributes['name'], 'John');
+			assert.equal(nextRecords['user']?.['2'], store.getSnapshot().types['user']?.['2']);
+			assert.deepEqual(nextRecords['comment'], {});
+			assert.equal(store.getSnapshot().types['user']?.['1'], parentRecords['user']?.['1']);
+		});
+
+		it('should keep unsaved changes of parent models', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			store.find('article', '1')?.setAttribute('title', 'Draft');
+			const article = /** @type {Article} */ (store.fork().find('article', '1'));
+			assert.equal(article.title, 'Draft');
+			assert.deepEqual(article.changedAttributes(), { title: ['Hello', 'Draft'] });
+		});
+	});
+
+	describe('.commit()', function () {
+		it('should apply changes of fork to parent', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const parentArticle = /** @type {Article} */ (store.find('article', '1'));
+			/** @type {string[]} */
+			const events = [];
+			store.subscribe(({ created, updated, destroyed }) => {
+				const format = (/** @type {Model[]} */ models) =>
+					models.map((model) => `${model.type}:${model.id ?? 'new'}`).join(',');
+				events.push(`${format(created)}|${format(updated)}|${format(destroyed)}`);
+			});
+			const child = store.fork();
+			const article = /** @type {Article} */ (child.find('article', '1'));
+			article.setAttribute('title', 'Draft');
+			const comment = child.initModel('comment');
+			article.setRelationship('comments', comment);
+			child.destroy(child.find('comment', '1'));
+			child.sync({ data: { type: 'user', id: '1', attributes: { name: 'John' } } });
+			assert.deepEqual(events, []);
+
+			child.commit();
+			assert.equal(events.length, 1);
+			assert.equal(store.find('article', '1'), parentArticle);
+			assert.equal(parentArticle.title, 'Draft');
+			assert.deepEqual(parentArticle.changedAttributes(), { title: ['Hello', 'Draft'] });
+			const [parentComment] = store.findAll('comment');
+			assert.equal(parentComment?.lid, comment.lid);
+			assert.deepEqual(parentArticle.comments, [parentComment]);
+			assert.equal(store.find('comment', '1'), null);
+			assert.equal(/** @type {any} */ (store.find('user', '1')).name, 'John');
+			assert.equal(store.find('user', '1')?.isDirty, false);
+			assert.equal(parentArticle.author, store.find('user', '1'));
+		});
+
+		it('should keep changes of parent made after fork', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const parentArticle = /** @type {Article & {views?: number}} */ (
+				store.find('article', '1')
+			);
+			const child = store.fork();
+			child.find('article', '1')?.setAttribute('title', 'Draft');
+			store.sync({ data: { type: 'article', id: '1', attributes: { views: 5 } } });
+			child.commit();
+			assert.equal(parentArticle.title, 'Draft');
+			assert.equal(parentArticle.views, 5);
+			assert.deepEqual(parentArticle.changedAttributes(), { title: ['Hello', 'Draft'] });
+		});
+
+		it('should apply synced state of fields synced in fork', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const parentArticle = /** @type {Article} */ (store.find('article', '1'));
+			parentArticle.setAttribute('title', 'Draft');
+			const child = store.fork();
+			child.sync({ data: { type: 'article', id: '1', attributes: { title: 'Draft' } } });
+			child.commit();
+			assert.equal(parentArticle.title, 'Draft');
+			assert.equal(parentArticle.isDirty, false);
+		});
+
+		it('should assign ids of models created in fork', function () {
+			const store = new Store();
+			const comment = store.initModel('comment');
+			const child = store.fork();
+			const childComment = /** @type {Model} */ (
+				child.findByLid('comment', /** @type {string} */ (comment.lid))
+			);
+			child.sync({
+				data: {
+					type: 'comment',
+					id: '5',
+					lid: childComment.lid,
+					attributes: { body: 'Saved' }
+				}
+			});
+			child.commit();
+			assert.equal(store.find('comment', '5'), comment);
+			assert.equal(comment.isDirty, false);
+		});
+
+		it('should commit nested fork to its parent fork only', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const child = store.fork();
+			const grandchild = child.fork();
+			grandchild.find('article', '1')?.setAttribute('title', 'Draft');
+			grandchild.commit();
+			assert.equal(/** @type {Article} */ (child.find('article', '1')).title, 'Draft');
+			assert.equal(/** @type {Article} */ (store.find('article', '1')).title, 'Hello');
+			child.commit();
+			assert.equal(/** @type {Article} */ (store.find('article', '1')).title, 'Draft');
+		});
+
+		it('should throw for store which is not a fork', function () {
+			assert.throws(() => {
+				new Store().commit();
+			}, /Expected store to be a fork, create it with `.fork\(\)`\./);
+		});
+	});
+
+	describe('.discard()', function () {
+		it('should drop changes of fork', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const child = store.fork();
+			child.find('article', '1')?.setAttribute('title', 'Draft');
+			child.destroy(child.find('user', '1'));
+			child.discard();
+			assert.equal(/** @type {Article} */ (child.find('article', '1')).title, 'Hello');
+			assert.ok(child.find('user', '1'));
+			assert.equal(/** @type {Article} */ (store.find('article', '1')).title, 'Hello');
+			assert.ok(store.find('user', '1'));
+		});
+	});
+});
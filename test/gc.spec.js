@@ -0,0 +1,185 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {Model & {author?: ?Model, comments?: Model[]}} Article
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+/** @type {JSONAPIDocument} */
+const payload = {
+	data: [
+		{
+			type: 'article',
+			id: '1',
+			relationships: {
+				author: { data: { type: 'user', id: '1' } },
+				comments: {
+					data: [
+						{ type: 'comment', id: '1' },
+						{ type: 'comment', id: '2' }
+					]
+				}
+			}
+		},
+		{
+			type: 'article',
+			id: '2',
+			relationships: { author: { data: { type: 'user', id: '2' } } }
+		}
+	]
+};
+
+describe('Store', function () {
+	describe('.gc()', function () {
+		it('should remove models not reachable from roots', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			/** @type {string[]} */
+			const destroyed = [];
+			store.subscribe((event) => {
+				destroyed.push(...event.destroyed.map((model) => `${model.type}:${model.id}`));
+			});
+			const removed = store.gc({ roots: article });
+			assert.deepEqual(
+				removed.map((model) => `${model.type}:${model.id}`),
+				['article:2', 'user:2']
+			);
+			assert.deepEqual(destroyed, ['article:2', 'user:2']);
+			assert.deepEqual(
+				store.findAll('article').map((model) => model.id),
+				['1']
+			);
+			assert.equal(store.find('user', '2'), null);
+			assert.equal(store.findAll('comment').length, 2);
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should keep pinned, local and changed models', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const localArticle = store.initModel('article');
+			localArticle.setRelationship('author', store.find('user', '1'));
+			store.find('article', '2')?.setAttribute('title', 'Draft');
+			store.pin(/** @type {Model} */ (store.find('comment', '1')));
+			store.gc();
+			assert.deepEqual(
+				store.findAll('article').map((model) => model.id ?? model.lid),
+				['2', localArticle.lid]
+			);
+			assert.ok(store.find('user', '1'));
+			assert.ok(store.find('user', '2'));
+			assert.ok(store.find('comment', '1'));
+			assert.equal(store.find('comment', '2'), null);
+
+			store.unpin(/** @type {Model} */ (store.find('comment', '1')));
+			store.gc();
+			assert.equal(store.find('comment', '1'), null);
+		});
+
+		it('should keep models changed in the same batch', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Model} */ (store.find('article', '2'));
+			store.batch(() => {
+				article.setAttribute('title', 'Draft');
+				store.gc({ roots: store.find('article', '1') ?? [] });
+			});
+			assert.equal(store.find('article', '2'), article);
+			assert.ok(store.find('user', '2'));
+		});
+
+		it('should remove dependence of removed models', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const user = /** @type {Model} */ (store.find('user', '1'));
+			store.gc({ roots: user });
+			assert.deepEqual(user.dependents(), []);
+		});
+	});
+
+	describe('maxModels', function () {
+		it('should evict least recently used models above limit', function () {
+			const store = new Store({ maxModels: { comment: 2 } });
+			store.sync({
+				data: [
+					{ type: 'comment', id: '1' },
+					{ type: 'comment', id: '2' }
+				]
+			});
+			store.find('comment', '1');
+			store.sync({ data: { type: 'comment', id: '3' } });
+			assert.deepEqual(
+				store.findAll('comment').map((model) => model.id),
+				['1', '3']
+			);
+		});
+
+		it('should not evict pinned, changed or linked models', function () {
+			const store = new Store({ maxModels: { comment: 1, user: 1 } });
+			store.sync(structuredClone(payload));
+			assert.equal(store.findAll('comment').length, 2);
+			assert.equal(store.findAll('user').length, 2);
+
+			const localComment = store.initModel('comment');
+			localComment.setRelationship('author', store.find('user', '1'));
+			store.destroy(store.find('article', '2'));
+			assert.deepEqual(
+				store.findAll('user').map((model) => model.id),
+				['1']
+			);
+
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			const [first, second] = article.comments ?? [];
+			store.pin(/** @type {Model} */ (first));
+			second?.setAttribute('body', 'Draft');
+			store.destroy(article);
+			assert.deepEqual(store.findAll('comment'), [first, second, localComment]);
+
+			store.unpin(/** @type {Model} */ (first));
+			second?.rollback();
+			assert.deepEqual(store.findAll('comment'), [second, localComment]);
+		});
+
+		it('should evict again once blocking models are synced', function () {
+			const store = new Store({ maxModels: { comment: 1 } });
+			store.sync({ data: { type: 'comment', id: '1' } });
+			const comment = /** @type {Model} */ (store.find('comment', '1'));
+			comment.setAttribute('body', 'Draft');
+			store.batch(() => {
+				store.sync({ data: { type: 'comment', id: '2' } });
+				store.find('comment', '2')?.setAttribute('body', 'Draft');
+			});
+			comment.setAttribute('body', 'Changed draft');
+			assert.equal(store.findAll('comment').length, 2);
+
+			store.sync({
+				data: { type: 'comment', id: '1', attributes: { body: 'Changed draft' } }
+			});
+			assert.deepEqual(
+				store.findAll('comment').map((model) => model.id),
+				['2']
+			);
+		});
+
+		it('should not evict models linked from changed models', function () {
+			const store = new Store({ maxModels: { user: 1 } });
+			store.sync({ data: { type: 'article', id: '3' } });
+			store.sync({ data: { type: 'user', id: '1' } });
+			const article = /** @type {Article} */ (store.find('article', '3'));
+			const user = /** @type {Model} */ (store.find('user', '1'));
+			article.setRelationship('author', user);
+			store.sync({ data: { type: 'user', id: '2' } });
+			assert.equal(store.find('user', '1'), user);
+			assert.equal(article.author, user);
+
+			article.rollback();
+			store.sync({ data: { type: 'user', id: '3' } });
+			assert.deepEqual(
+				store.findAll('user').map((model) => model.id),
+				['3']
+			);
+		});
+	});
+});
@@ -0,0 +1,117 @@
+/* eslint-disable dot-notation */
+import assert from 'node:assert';
+import { Store } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+/** @type {JSONAPIDocument} */
+const payload = {
+	data: [
+		{
+			type: 'article',
+			id: '1',
+			attributes: { title: 'Hello', tags: ['news'] },
+			relationships: { author: { data: { type: 'user', id: '1' } } },
+			meta: { views: 10 }
+		},
+		{ type: 'article', id: '2', attributes: { title: 'World' } }
+	],
+	included: [{ type: 'user', id: '1', attributes: { name: 'Jane' } }]
+};
+
+describe('Store', function () {
+	describe('.getSnapshot()', function () {
+		it('should return frozen records of models', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const snapshot = store.getSnapshot();
+			const article = snapshot.types['article']?.['1'];
+			assert.deepEqual(article, {
+				type: 'article',
+				id: '1',
+				attributes: { title: 'Hello', tags: ['news'] },
+				relationships: { author: { type: 'user', id: '1' } },
+				links: {},
+				meta: { views: 10 },
+				version: snapshot.version
+			});
+			assert.ok(Object.isFrozen(snapshot));
+			assert.ok(Object.isFrozen(snapshot.types['article']));
+			assert.ok(Object.isFrozen(article?.attributes['tags']));
+			assert.throws(() => {
+				article?.attributes['tags'].push('tech');
+			}, TypeError);
+		});
+
+		it('should keep snapshot until store changes', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const snapshot = store.getSnapshot();
+			assert.equal(store.getSnapshot(), snapshot);
+
+			store.batch(() => {
+				store.find('article', '1')?.setAttribute('title', 'Updated');
+				assert.equal(store.getSnapshot(), snapshot);
+			});
+			const nextSnapshot = store.getSnapshot();
+			assert.notEqual(nextSnapshot, snapshot);
+			assert.ok(nextSnapshot.version > snapshot.version);
+			assert.equal(nextSnapshot.types['article']?.['1']?.attributes['title'], 'Updated');
+			assert.equal(snapshot.types['article']?.['1']?.attributes['title'], 'Hello');
+		});
+
+		it('should share records of unchanged models', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const snapshot = store.getSnapshot();
+			store.sync({ data: { type: 'article', id: '2', attributes: { title: 'Updated' } } });
+			const nextSnapshot = store.getSnapshot();
+			assert.equal(nextSnapshot.types['user'], snapshot.types['user']);
+			assert.notEqual(nextSnapshot.types['article'], snapshot.types['article']);
+			assert.equal(nextSnapshot.types['article']?.['1'], snapshot.types['article']?.['1']);
+			assert.notEqual(nextSnapshot.types['article']?.['2'], snapshot.types['article']?.['2']);
+
+			store.destroy(store.find('article', '2'));
+			assert.deepEqual(Object.keys(store.getSnapshot().types['article'] ?? {}), ['1']);
+		});
+
+		it('should identify models not yet created on the server by local id', function () {
+			const store = new Store({ generateLid: () => 'local-1' });
+			const comment = store.initModel('comment');
+			comment.setRelationship('article', store.initModel('article', '1'));
+			assert.deepEqual(store.getSnapshot().types['comment']?.['local-1']?.relationships, {
+				article: { type: 'article', id: '1' }
+			});
+		});
+
+		it('should update records linking to model which gets id', function () {
+			const store = new Store({ generateLid: () => 'local-1' });
+			store.sync({ data: { type: 'user', id: '1' } });
+			const article = store.initModel('article');
+			store.find('user', '1')?.setRelationship('favorite', article);
+			assert.deepEqual(store.getSnapshot().types['user']?.['1']?.relationships, {
+				favorite: { type: 'article', lid: 'local-1' }
+			});
+			store.sync({ data: { type: 'article', id: '9', lid: 'local-1' } });
+			assert.deepEqual(store.getSnapshot().types['user']?.['1']?.relationships, {
+				favorite: { type: 'article', id: '9' }
+			});
+		});
+
+		it('should work as external store without binding', function () {
+			const store = new Store();
+			const { subscribe, getSnapshot } = store;
+			const snapshots = [getSnapshot()];
+			const unsubscribe = subscribe(() => {
+				snapshots.push(getSnapshot());
+			});
+			store.sync(structuredClone(payload));
+			unsubscribe();
+			store.sync({ data: { type: 'article', id: '3' } });
+			assert.equal(snapshots.length, 2);
+			assert.deepEqual(Object.keys(snapshots[1]?.types ?? {}), ['user', 'article']);
+		});
+	});
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+describe('Model', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1',
+			attributes: { title: 'Cool article' },
+			relationships: {
+				author: { data: { type: 'user', id: '1' } },
+				tags: {
+					data: [
+						{ type: 'tag', id: '1' },
+						{ type: 'tag', id: '2' }
+					]
+				}
+			}
+		},
+		included: [
+			{
+				type: 'user',
+				id: '1',
+				attributes: { name: 'Jane' },
+				relationships: { articles: { data: [{ type: 'article', id: '1' }] } }
+			},
+			{
+				type: 'tag',
+				id: '1',
+				relationships: { category: { data: { type: 'category', id: '1' } } }
+			},
+			{
+				type: 'tag',
+				id: '2',
+				relationships: { category: { data: { type: 'category', id: '1' } } }
+			},
+			{ type: 'category', id: '1', attributes: { name: 'News' } }
+		]
+	};
+
+	const createStore = () => {
+		const store = new Store();
+		store.sync(structuredClone(payload));
+		return store;
+	};
+
+	describe('.serialize()', function () {
+		it('should serialize related models into included', function () {
+			const store = createStore();
+			const article = /** @type {Model} */ (store.find('article', '1'));
+			const { data, included } = article.serialize({ include: ['author', 'tags.category'] });
+			assert.deepEqual(data, payload.data);
+			assert.deepEqual(
+				included?.map(({ type, id }) => `${type}:${id}`),
+				['user:1', 'tag:1', 'tag:2', 'category:1']
+			);
+			assert.deepEqual(included?.[3], payload.included?.[3]);
+		});
+
+		it('should stop on cycles', function () {
+			const store = createStore();
+			const article = /** @type {Model} */ (store.find('article', '1'));
+			const { included } = article.serialize({ include: 'author.articles.author' });
+			assert.deepEqual(
+				included?.map(({ type, id }) => `${type}:${id}`),
+				['user:1']
+			);
+		});
+
+		it('should include new models by lid', function () {
+			const store = new Store({ generateLid: (type) => `new-${type}` });
+			const article = store.initModel('article');
+			article.setRelationship('author', store.initModel('user'));
+			article.setRelationship('editor', new Model('user'));
+			assert.deepEqual(article.serialize({ include: ['author', 'editor'] }).included, [
+				{ type: 'user', lid: 'new-user' }
+			]);
+		});
+
+		it('should not add included when nothing is related', function () {
+			const article = new Model('article', '1');
+			assert.ok(!('included' in article.serialize({ include: ['author'] })));
+		});
+	});
+});
+
+describe('Store', function () {
+	describe('.serializeDocument()', function () {
+		it('should serialize models with de-duplicated included models', function () {
+			const store = new Store();
+			store.sync({
+				data: [
+					{
+						type: 'article',
+						id: '1',
+						relationships: { author: { data: { type: 'user', id: '1' } } }
+					},
+					{
+						type: 'article',
+						id: '2',
+						relationships: {
+							author: { data: { type: 'user', id: '1' } },
+							related: { data: { type: 'article', id: '1' } }
+						}
+					}
+				]
+			});
+			const document = store.serializeDocument(store.findAll('article'), {
+				include: ['author', 'related'],
+				relationships: []
+			});
+			assert.deepEqual(document, {
+				data: [
+					{ type: 'article', id: '1' },
+					{ type: 'article', id: '2' }
+				],
+				included: [{ type: 'user', id: '1' }]
+			});
+		});
+
+		it('should serialize single model as primary data', function () {
+			const store = new Store();
+			const article = store.initModel('article', '1');
+			assert.deepEqual(store.serializeDocument(article), {
+				data: { type: 'article', id: '1' }
+			});
+		});
+	});
+});
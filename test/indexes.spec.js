@@ -0,0 +1,119 @@
+import assert from 'node:assert';
+import { Store } from '../index.js';
+
+const payload = {
+	data: [
+		{ type: 'user', id: '1', attributes: { email: 'jane@example.com', status: 'active' } },
+		{ type: 'user', id: '2', attributes: { email: 'john@example.com', status: 'active' } },
+		{ type: 'user', id: '3', attributes: { email: 'jack@example.com', status: 'banned' } }
+	]
+};
+
+describe('Store', function () {
+	describe('.createIndex()', function () {
+		it('should index existing and synced models', function () {
+			const store = new Store();
+			store.sync({ data: payload.data.slice(0, 1) });
+			store.createIndex('user', 'email', { unique: true });
+			store.sync({ data: payload.data.slice(1) });
+			assert.equal(
+				store.findBy('user', 'email', 'jane@example.com'),
+				store.find('user', '1')
+			);
+			assert.equal(
+				store.findBy('user', 'email', 'jack@example.com'),
+				store.find('user', '3')
+			);
+			assert.equal(store.findBy('user', 'email', 'joe@example.com'), null);
+		});
+
+		it('should index computed values', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const domain = (/** @type {any} */ model) => model.email?.split('@')[1];
+			store.createIndex('user', domain);
+			assert.equal(store.findAllBy('user', domain, 'example.com').length, 3);
+		});
+
+		it('should throw for duplicate values of unique index', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			assert.throws(() => {
+				store.createIndex('user', 'status', { unique: true });
+			}, /Unique index "status" of "user" models has duplicate value "active"\./);
+			store.createIndex('user', 'email', { unique: true });
+			assert.throws(() => {
+				store.find('user', '2')?.setAttribute('email', 'jane@example.com');
+			}, /Unique index "email" of "user" models has duplicate value "jane@example.com"\./);
+		});
+
+		it('should check unique index once sync is applied', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			store.createIndex('user', 'email', { unique: true });
+			const [jane, john] = store.findAll('user');
+			store.sync({
+				data: [
+					{ type: 'user', id: '1', attributes: { email: 'john@example.com' } },
+					{ type: 'user', id: '2', attributes: { email: 'jane@example.com' } }
+				]
+			});
+			assert.equal(store.findBy('user', 'email', 'john@example.com'), jane);
+			assert.equal(store.findBy('user', 'email', 'jane@example.com'), john);
+
+			assert.throws(() => {
+				store.sync({
+					data: [
+						{ type: 'user', id: '1', attributes: { email: 'joe@example.com' } },
+						{ type: 'user', id: '2', attributes: { email: 'joe@example.com' } }
+					]
+				});
+			}, /Unique index "email" of "user" models has duplicate value "joe@example.com"\./);
+			assert.deepEqual(store.findAllBy('user', 'email', 'joe@example.com'), [jane, john]);
+			assert.deepEqual(store.findAllBy('user', 'email', 'jane@example.com'), []);
+		});
+	});
+
+	describe('.findAllBy()', function () {
+		it('should keep index up to date with changes', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			store.createIndex('user', 'status');
+			const [jane, john, jack] = store.findAll('user');
+			assert.deepEqual(store.findAllBy('user', 'status', 'active'), [jane, john]);
+
+			jack?.setAttribute('status', 'active');
+			store.sync({ data: { type: 'user', id: '1', attributes: { status: 'banned' } } });
+			store.destroy(store.find('user', '2'));
+			assert.deepEqual(store.findAllBy('user', 'status', 'active'), [jack]);
+			assert.deepEqual(store.findAllBy('user', 'status', 'banned'), [jane]);
+
+			store.reset();
+			assert.deepEqual(store.findAllBy('user', 'status', 'banned'), []);
+		});
+
+		it('should find models by date value', function () {
+			const store = new Store();
+			store.define('article', { attributes: { publishedAt: 'date' } });
+			store.createIndex('article', 'publishedAt');
+			store.sync({
+				data: {
+					type: 'article',
+					id: '1',
+					attributes: { publishedAt: '2024-01-01T00:00:00Z' }
+				}
+			});
+			assert.deepEqual(
+				store.findAllBy('article', 'publishedAt', new Date('2024-01-01T00:00:00Z')),
+				[store.find('article', '1')]
+			);
+		});
+
+		it('should throw for missing index', function () {
+			const store = new Store();
+			assert.throws(() => {
+				store.findAllBy('user', 'email', 'jane@example.com');
+			}, /Expected index "email" of "user" models, create it with `.createIndex\(\)`\./);
+		});
+	});
+});
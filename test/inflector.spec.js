@@ -0,0 +1,173 @@
+import assert from 'node:assert';
+import { Store, Model, serializeOperations } from '../index.js';
+
+/**
+ * @typedef {Model & {publishedAt: string, mainAuthor: ?Model, blogPosts: Model[]}} Article
+ */
+
+const createStore = () => {
+	return new Store({
+		inflection: {
+			keys: { deserialize: 'camelCase', serialize: 'kebab-case' },
+			types: { deserialize: 'singular', serialize: 'plural' },
+			meta: true
+		}
+	});
+};
+
+const payload = {
+	data: {
+		type: 'articles',
+		id: '1',
+		attributes: { 'published-at': '2024-01-01' },
+		relationships: {
+			'main-author': {
+				data: { type: 'users', id: '1' },
+				meta: { 'is-verified': true }
+			},
+			'blog-posts': { data: [{ type: 'categories', id: '1' }] }
+		},
+		meta: { 'read-count': 3 }
+	}
+};
+
+describe('Store', function () {
+	describe('.sync()', function () {
+		it('should convert keys and types of synced records', function () {
+			const store = new Store({
+				inflection: {
+					keys: { deserialize: 'camelCase' },
+					types: { deserialize: (type) => (type === 'users' ? 'person' : type) }
+				}
+			});
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('articles', '1'));
+			assert.equal(article.publishedAt, '2024-01-01');
+			assert.equal(article.mainAuthor, store.find('person', '1'));
+			assert.deepEqual(article.blogPosts, [store.find('categories', '1')]);
+			assert.deepEqual(article.meta, { 'read-count': 3 });
+			assert.ok(article.isLoaded('publishedAt'));
+		});
+
+		it('should convert meta keys when enabled', function () {
+			const store = createStore();
+			store.sync({ ...structuredClone(payload), meta: { 'total-count': 1 } });
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			assert.deepEqual(article.meta, { readCount: 3 });
+			assert.deepEqual(store.meta, { totalCount: 1 });
+		});
+
+		it('should apply atomic results to models of converted type', function () {
+			const store = createStore();
+			const article = store.initModel('article');
+			store.sync(
+				{ 'atomic:results': [{ data: { type: 'articles', id: '1' } }] },
+				{ operations: [{ op: 'add', model: article }] }
+			);
+			assert.equal(article.id, '1');
+			assert.deepEqual(store.findAll('article'), [article]);
+		});
+
+		it('should throw for unknown inflection', function () {
+			assert.throws(() => {
+				return new Store({ inflection: { keys: { deserialize: 'PascalCase' } } });
+			}, /Unknown inflection "PascalCase"/);
+		});
+	});
+
+	describe('.syncErrors()', function () {
+		it('should map errors onto converted fields', function () {
+			const store = createStore();
+			const article = /** @type {Article} */ (store.initModel('article', '1'));
+			store.syncErrors(
+				{
+					errors: [
+						{
+							detail: 'Invalid date.',
+							source: { pointer: '/data/attributes/published-at' }
+						}
+					]
+				},
+				article
+			);
+			assert.deepEqual(Object.keys(article.errors), ['publishedAt']);
+		});
+	});
+
+	describe('.hydrate()', function () {
+		it('should restore converted models from snapshot', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const hydratedStore = Store.fromSnapshot(store.snapshot(), {
+				inflection: {
+					keys: { deserialize: 'camelCase', serialize: 'kebab-case' },
+					types: { deserialize: 'singular', serialize: 'plural' },
+					meta: true
+				}
+			});
+			const article = /** @type {Article} */ (hydratedStore.find('article', '1'));
+			assert.equal(article.publishedAt, '2024-01-01');
+			assert.equal(article.mainAuthor, hydratedStore.find('user', '1'));
+			assert.deepEqual(article.serialize(), store.find('article', '1')?.serialize());
+		});
+	});
+});
+
+describe('Model', function () {
+	describe('.serialize()', function () {
+		it('should convert keys and types back', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			assert.deepEqual(article.serialize(), payload);
+		});
+
+		it('should convert keys with snake case', function () {
+			const store = new Store({
+				inflection: { keys: { deserialize: 'camelCase', serialize: 'snake_case' } }
+			});
+			const article = store.initModel('article', '1');
+			article.setAttribute('publishedAt', '2024-01-01');
+			article.setAttribute('HTMLContent', '<p></p>');
+			const { data } = article.serialize();
+			assert.deepEqual(
+				Object.keys(data && !Array.isArray(data) ? (data.attributes ?? {}) : {}),
+				['published_at', 'html_content']
+			);
+		});
+
+		it('should convert keys of changed fields', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			article.setAttribute('publishedAt', '2024-02-01');
+			assert.deepEqual(article.serialize({ onlyChanged: true, meta: [] }), {
+				data: {
+					type: 'articles',
+					id: '1',
+					attributes: { 'published-at': '2024-02-01' }
+				}
+			});
+		});
+	});
+});
+
+describe('serializeOperations()', function () {
+	it('should convert types and relationship names of operations', function () {
+		const store = createStore();
+		store.sync(structuredClone(payload));
+		const article = /** @type {Article} */ (store.find('article', '1'));
+		assert.deepEqual(
+			serializeOperations([{ op: 'update', model: article, relationship: 'mainAuthor' }]),
+			{
+				'atomic:operations': [
+					{
+						op: 'update',
+						ref: { type: 'articles', id: '1', relationship: 'main-author' },
+						data: { type: 'users', id: '1' }
+					}
+				]
+			}
+		);
+	});
+});
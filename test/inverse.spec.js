@@ -0,0 +1,178 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {Model & {author: ?Model}} Article
+ * @typedef {Model & {articles: Model[], profile: ?Model}} User
+ * @typedef {Model & {user: ?Model}} Profile
+ */
+
+describe('Model', function () {
+	const createStore = () => {
+		const store = new Store();
+		store.define('article', {
+			relationships: { author: { type: 'user', kind: 'one', inverse: 'articles' } }
+		});
+		store.define('user', {
+			relationships: {
+				articles: { type: 'article', kind: 'many', inverse: 'author' },
+				profile: { type: 'profile', kind: 'one', inverse: 'user' }
+			}
+		});
+		store.define('profile', {
+			relationships: { user: { type: 'user', kind: 'one', inverse: 'profile' } }
+		});
+		return store;
+	};
+
+	describe('.sync()', function () {
+		it('should update inverse to-many relationship', function () {
+			const store = createStore();
+			store.sync({
+				data: [
+					{
+						type: 'article',
+						id: '1',
+						relationships: { author: { data: { type: 'user', id: '1' } } }
+					},
+					{
+						type: 'article',
+						id: '2',
+						relationships: { author: { data: { type: 'user', id: '1' } } }
+					}
+				]
+			});
+			const user = /** @type {User} */ (store.find('user', '1'));
+			assert.deepEqual(user.articles, store.findAll('article'));
+			assert.equal(user.isDirty, false);
+		});
+
+		it('should update inverse to-one relationships', function () {
+			const store = createStore();
+			store.sync({
+				data: {
+					type: 'user',
+					id: '1',
+					relationships: { articles: { data: [{ type: 'article', id: '1' }] } }
+				}
+			});
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			assert.equal(article.author, store.find('user', '1'));
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should treat inverse changes of other models as synced', function () {
+			const store = createStore();
+			store.sync({
+				data: {
+					type: 'profile',
+					id: 'p',
+					relationships: { user: { data: { type: 'user', id: '1' } } }
+				}
+			});
+			store.sync({
+				data: {
+					type: 'profile',
+					id: 'q',
+					relationships: { user: { data: { type: 'user', id: '1' } } }
+				}
+			});
+			const previousProfile = /** @type {Profile} */ (store.find('profile', 'p'));
+			const user = /** @type {User} */ (store.find('user', '1'));
+			assert.equal(user.profile, store.find('profile', 'q'));
+			assert.equal(previousProfile.user, null);
+			assert.equal(previousProfile.isDirty, false);
+			assert.equal(user.isDirty, false);
+			assert.deepEqual(previousProfile.serialize({ onlyChanged: true }).data, {
+				type: 'profile',
+				id: 'p'
+			});
+		});
+	});
+
+	describe('.setRelationship()', function () {
+		it('should move model between inverse relationships', function () {
+			const store = createStore();
+			const article = /** @type {Article} */ (store.initModel('article', '1'));
+			const jane = /** @type {User} */ (store.initModel('user', '1'));
+			const john = /** @type {User} */ (store.initModel('user', '2'));
+			article.setRelationship('author', jane);
+			assert.deepEqual(jane.articles, [article]);
+			article.setRelationship('author', john);
+			assert.deepEqual(jane.articles, []);
+			assert.deepEqual(john.articles, [article]);
+		});
+
+		it('should add array of models to to-many relationship', function () {
+			const store = createStore();
+			const user = /** @type {User} */ (store.initModel('user', '1'));
+			const first = /** @type {Article} */ (store.initModel('article', '1'));
+			const second = /** @type {Article} */ (store.initModel('article', '2'));
+			user.setRelationship('articles', []);
+			user.setRelationship('articles', [first, second]);
+			assert.deepEqual(user.articles, [first, second]);
+			assert.equal(first.author, user);
+			assert.equal(second.author, user);
+		});
+
+		it('should unlink previous model of one-to-one relationship', function () {
+			const store = createStore();
+			const user = /** @type {User} */ (store.initModel('user', '1'));
+			const profile = /** @type {Profile} */ (store.initModel('profile', '1'));
+			const otherProfile = /** @type {Profile} */ (store.initModel('profile', '2'));
+			user.setRelationship('profile', profile);
+			assert.equal(profile.user, user);
+			otherProfile.setRelationship('user', user);
+			assert.equal(user.profile, otherProfile);
+			assert.equal(profile.user, null);
+		});
+
+		it('should not update relationships without inverse', function () {
+			const store = new Store();
+			const article = /** @type {Article} */ (store.initModel('article', '1'));
+			const user = /** @type {User} */ (store.initModel('user', '1'));
+			article.setRelationship('author', user);
+			assert.ok(!('articles' in user));
+		});
+	});
+
+	describe('.removeRelationship()', function () {
+		it('should update inverse relationship', function () {
+			const store = createStore();
+			const article = /** @type {Article} */ (store.initModel('article', '1'));
+			const user = /** @type {User} */ (store.initModel('user', '1'));
+			user.setRelationship('articles', [article]);
+			assert.equal(article.author, user);
+			user.removeRelationship('article', '1', 'articles');
+			assert.equal(article.author, null);
+		});
+	});
+
+	describe('.rollbackRelationship()', function () {
+		it('should update inverse relationship', function () {
+			const store = createStore();
+			const article = /** @type {Article} */ (store.initModel('article', '1'));
+			const user = /** @type {User} */ (store.initModel('user', '1'));
+			article.setRelationship('author', user);
+			article.rollbackRelationship('author');
+			assert.deepEqual(user.articles, []);
+		});
+	});
+});
+
+describe('Store', function () {
+	describe('.destroy()', function () {
+		it('should remove destroyed model from inverse relationships', function () {
+			const store = new Store();
+			store.define('article', {
+				relationships: { author: { kind: 'one', inverse: 'articles' } }
+			});
+			const article = /** @type {Article} */ (store.initModel('article', '1'));
+			const user = /** @type {User} */ (store.initModel('user', '1'));
+			article.setRelationship('author', user);
+			assert.deepEqual(user.articles, [article]);
+			store.destroy(article);
+			assert.deepEqual(user.articles, []);
+		});
+	});
+});
@@ -0,0 +1,168 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {Model & {title: string, author: ?Model, tags: Model[]}} Article
+ * @typedef {Model & {favorite: ?Model}} User
+ */
+
+const createStore = () => {
+	let count = 0;
+	return new Store({
+		generateLid: (type) => {
+			count += 1;
+			return `${type}-${count}`;
+		}
+	});
+};
+
+describe('Store', function () {
+	describe('.initModel()', function () {
+		it('should keep model without id by generated lid', function () {
+			const store = createStore();
+			const article = store.initModel('article');
+			assert.equal(article.lid, 'article-1');
+			assert.ok(typeof article.id === 'undefined');
+			assert.equal(store.findByLid('article', 'article-1'), article);
+			assert.deepEqual(store.findAll('article'), [article]);
+		});
+
+		it('should generate unique lids by default', function () {
+			const store = new Store();
+			const article = store.initModel('article');
+			const otherArticle = store.initModel('article');
+			assert.equal(typeof article.lid, 'string');
+			assert.notEqual(article.lid, otherArticle.lid);
+		});
+
+		it('should generate unique lids without Web Crypto API', function () {
+			const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+			Object.defineProperty(globalThis, 'crypto', { value: null, configurable: true });
+			try {
+				const store = new Store();
+				const article = store.initModel('article');
+				const otherArticle = store.initModel('article');
+				assert.equal(typeof article.lid, 'string');
+				assert.notEqual(article.lid, otherArticle.lid);
+			} finally {
+				if (descriptor) {
+					Object.defineProperty(globalThis, 'crypto', descriptor);
+				} else {
+					delete (/** @type {any} */ (globalThis).crypto);
+				}
+			}
+		});
+	});
+
+	describe('.sync()', function () {
+		it('should re-key model in place when server returns id', function () {
+			const store = createStore();
+			store.initModel('article', '1');
+			const article = /** @type {Article} */ (store.initModel('article'));
+			store.initModel('article', '3');
+			const user = /** @type {User} */ (store.initModel('user', '1'));
+			user.setRelationship('favorite', article);
+			store.sync({
+				data: {
+					type: 'article',
+					id: '2',
+					lid: 'article-1',
+					attributes: { title: 'Cool article' }
+				}
+			});
+			assert.equal(article.id, '2');
+			assert.equal(article.title, 'Cool article');
+			assert.equal(store.find('article', '2'), article);
+			assert.equal(store.findByLid('article', 'article-1'), null);
+			assert.deepEqual(
+				store.findAll('article').map((model) => model.id),
+				['1', '3', '2']
+			);
+			assert.equal(user.favorite, article);
+		});
+
+		it('should resolve lid linkage to models kept by lid', function () {
+			const store = createStore();
+			const user = store.initModel('user');
+			store.sync({
+				'atomic:results': [
+					{
+						data: {
+							type: 'article',
+							id: '1',
+							relationships: { author: { data: { type: 'user', lid: 'user-1' } } }
+						}
+					}
+				]
+			});
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			assert.equal(article.author, user);
+		});
+
+		it('should notify about re-keyed model', function () {
+			const store = createStore();
+			const article = store.initModel('article');
+			/** @type {import('../index.js').StoreChange[]} */
+			const events = [];
+			store.subscribe((event) => {
+				events.push(event);
+			});
+			store.sync({ data: { type: 'article', id: '1', lid: 'article-1' } });
+			assert.equal(events.length, 1);
+			assert.deepEqual(events[0]?.updated, [article]);
+		});
+	});
+
+	describe('.destroy()', function () {
+		it('should remove model kept by lid', function () {
+			const store = createStore();
+			const article = store.initModel('article');
+			store.destroy(article);
+			assert.equal(store.findByLid('article', 'article-1'), null);
+			assert.deepEqual(store.findAll('article'), []);
+		});
+	});
+
+	describe('.hydrate()', function () {
+		it('should restore models kept by lid', function () {
+			const store = createStore();
+			const article = store.initModel('article');
+			article.setAttribute('title', 'Cool article');
+			store.initModel('article', '1');
+			const hydratedStore = Store.fromSnapshot(store.snapshot());
+			const hydratedArticle = /** @type {Article} */ (
+				hydratedStore.findByLid('article', 'article-1')
+			);
+			assert.equal(hydratedArticle.title, 'Cool article');
+			assert.deepEqual(hydratedStore.findAll('article'), [
+				hydratedArticle,
+				hydratedStore.find('article', '1')
+			]);
+		});
+	});
+});
+
+describe('Model', function () {
+	describe('.serialize()', function () {
+		it('should serialize lid in data and relationship linkage', function () {
+			const store = createStore();
+			const article = store.initModel('article');
+			const user = store.initModel('user');
+			article.setRelationship('author', user);
+			assert.deepEqual(article.serialize(), {
+				data: {
+					type: 'article',
+					lid: 'article-1',
+					relationships: { author: { data: { type: 'user', lid: 'user-2' } } }
+				}
+			});
+		});
+
+		it('should not serialize lid of models created on the server', function () {
+			const store = createStore();
+			const article = store.initModel('article');
+			store.sync({ data: { type: 'article', id: '1', lid: 'article-1' } });
+			assert.deepEqual(article.serialize(), { data: { type: 'article', id: '1' } });
+		});
+	});
+});
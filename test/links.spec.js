@@ -0,0 +1,91 @@
+/* eslint-disable dot-notation */
+import assert from 'node:assert';
+import { Store } from '../index.js';
+
+const payload = {
+	data: {
+		type: 'article',
+		id: '1',
+		links: {
+			self: 'https://example.com/articles/1',
+			describedby: { href: 'https://example.com/schemas/article', type: 'application/json' }
+		},
+		relationships: {
+			comments: {
+				links: {
+					related: {
+						href: 'https://example.com/articles/1/comments',
+						rel: 'related',
+						title: 'Comments',
+						type: 'application/vnd.api+json',
+						hreflang: ['en', 'de'],
+						describedby: 'https://example.com/schemas/comments',
+						meta: { count: 10 }
+					},
+					next: 'https://example.com/articles/1/comments?page[number]=2',
+					prev: null
+				},
+				meta: { total: 10 }
+			},
+			author: { data: null }
+		}
+	}
+};
+
+describe('Model', function () {
+	describe('.linkHref()', function () {
+		it('should return URL of string and object links', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = store.find('article', '1');
+			assert.equal(article?.linkHref('self'), 'https://example.com/articles/1');
+			assert.equal(article?.linkHref('describedby'), 'https://example.com/schemas/article');
+			assert.equal(article?.linkHref('related'), null);
+		});
+	});
+
+	describe('.relationshipLinks()', function () {
+		it('should normalize links of relationship', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = store.find('article', '1');
+			assert.deepEqual(article?.relationshipLinks('comments'), {
+				related: {
+					href: 'https://example.com/articles/1/comments',
+					rel: 'related',
+					title: 'Comments',
+					type: 'application/vnd.api+json',
+					hreflang: ['en', 'de'],
+					describedby: { href: 'https://example.com/schemas/comments' },
+					meta: { count: 10 }
+				},
+				next: { href: 'https://example.com/articles/1/comments?page[number]=2' }
+			});
+		});
+
+		it('should return empty links for relationship without links', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			assert.deepEqual(store.find('article', '1')?.relationshipLinks('author'), {});
+		});
+	});
+
+	describe('.relationshipMeta()', function () {
+		it('should return meta information of relationship', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = store.find('article', '1');
+			assert.deepEqual(article?.relationshipMeta('comments'), { total: 10 });
+			assert.deepEqual(article?.relationshipMeta('author'), {});
+		});
+
+		it('should not share meta information with the model', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = store.find('article', '1');
+			const meta = article?.relationshipMeta('comments') ?? {};
+			meta['total'] = 0;
+			assert.deepEqual(article?.relationshipMeta('comments'), { total: 10 });
+		});
+	});
+});
@@ -0,0 +1,158 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {Model & {comments: Model[], author: ?Model, blogPosts: Model[]}} Article
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+const payload = {
+	data: {
+		type: 'article',
+		id: '1',
+		relationships: {
+			comments: { links: { related: 'https://example.com/articles/1/comments' } },
+			author: { links: { self: 'https://example.com/articles/1/relationships/author' } },
+			tags: { meta: { count: 0 } }
+		}
+	}
+};
+
+/**
+ * @param {{[url: string]: JSONAPIDocument}} documents Documents by URL.
+ */
+const createLoader = (documents) => {
+	/** @type {string[]} */
+	const urls = [];
+	const loader = async (/** @type {string} */ url) => {
+		urls.push(url);
+		await Promise.resolve();
+		return structuredClone(documents[url] ?? {});
+	};
+	return { loader, urls };
+};
+
+describe('Model', function () {
+	describe('.load()', function () {
+		it('should load relationship from related link', async function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const { loader, urls } = createLoader({
+				'https://example.com/articles/1/comments': {
+					data: [
+						{ type: 'comment', id: '1', attributes: { body: 'First' } },
+						{ type: 'comment', id: '2', attributes: { body: 'Second' } }
+					]
+				}
+			});
+			store.setLoader(loader);
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			const comments = await article.load('comments');
+			assert.deepEqual(urls, ['https://example.com/articles/1/comments']);
+			assert.deepEqual(comments, store.findAll('comment'));
+			assert.equal(article.comments, comments);
+			assert.ok(article.isLoaded('comments'));
+			assert.equal(article.isDirty, false);
+			assert.deepEqual(article.relationshipLinks('comments'), {
+				related: { href: 'https://example.com/articles/1/comments' }
+			});
+		});
+
+		it('should keep pagination links and meta of related resources', async function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const { loader } = createLoader({
+				'https://example.com/articles/1/comments': {
+					data: [{ type: 'comment', id: '1' }],
+					links: {
+						self: 'https://example.com/articles/1/comments',
+						next: 'https://example.com/articles/1/comments?page[offset]=1'
+					},
+					meta: { total: 2 }
+				}
+			});
+			store.setLoader(loader);
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			await article.load('comments');
+			assert.deepEqual(article.relationshipLinks('comments'), {
+				related: { href: 'https://example.com/articles/1/comments' },
+				next: { href: 'https://example.com/articles/1/comments?page[offset]=1' }
+			});
+			assert.deepEqual(article.relationshipMeta('comments'), { total: 2 });
+		});
+
+		it('should load linkage from self link', async function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const { loader } = createLoader({
+				'https://example.com/articles/1/relationships/author': {
+					data: { type: 'user', id: '1' },
+					meta: { verified: true }
+				}
+			});
+			store.setLoader(loader);
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			const author = await article.load('author');
+			assert.equal(author, store.find('user', '1'));
+			assert.equal(article.author, author);
+			assert.deepEqual(article.relationshipMeta('author'), { verified: true });
+			assert.deepEqual(store.find('user', '1')?.meta, {});
+		});
+
+		it('should share request of concurrent calls', async function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const { loader, urls } = createLoader({
+				'https://example.com/articles/1/comments': { data: [{ type: 'comment', id: '1' }] }
+			});
+			store.setLoader(loader);
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			const [comments, otherComments] = await Promise.all([
+				article.load('comments'),
+				article.load('comments')
+			]);
+			assert.equal(urls.length, 1);
+			assert.equal(comments, otherComments);
+			await article.load('comments');
+			assert.equal(urls.length, 2);
+		});
+
+		it('should load relationship with inflected key', async function () {
+			const store = new Store({
+				inflection: { keys: { deserialize: 'camelCase', serialize: 'kebab-case' } }
+			});
+			store.sync({
+				data: {
+					type: 'article',
+					id: '1',
+					relationships: {
+						'blog-posts': { links: { related: 'https://example.com/articles/1/posts' } }
+					}
+				}
+			});
+			const { loader } = createLoader({
+				'https://example.com/articles/1/posts': { data: [{ type: 'post', id: '1' }] }
+			});
+			store.setLoader(loader);
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			await article.load('blogPosts');
+			assert.deepEqual(article.blogPosts, [store.find('post', '1')]);
+		});
+
+		it('should reject without loader or link', async function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			await assert.rejects(article.load('comments'), /Expected store to have loader/);
+			store.setLoader(createLoader({}).loader);
+			await assert.rejects(
+				article.load('tags'),
+				/Relationship "tags" of "article" model has no link to load\./
+			);
+			await assert.rejects(
+				new Model('article', '1').load('comments'),
+				/Expected "article" model to be added to store\./
+			);
+		});
+	});
+});
@@ -0,0 +1,185 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {Model & {title?: string, body?: string, views?: number, tags?: string[], author?: ?Model, comments?: Model[]}} Article
+ */
+
+const payload = {
+	data: {
+		type: 'article',
+		id: '1',
+		attributes: { title: 'Hello', body: 'Lorem ipsum', views: 1 },
+		relationships: {
+			author: { data: { type: 'user', id: '1' } },
+			comments: {
+				data: [{ type: 'comment', id: '1' }],
+				links: { related: 'https://example.com/articles/1/comments' }
+			}
+		}
+	}
+};
+
+describe('Store', function () {
+	describe('.sync()', function () {
+		it('should merge record into model by default', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			store.sync({
+				data: {
+					type: 'article',
+					id: '1',
+					attributes: { title: 'Updated' },
+					relationships: { comments: { data: [{ type: 'comment', id: '2' }] } }
+				}
+			});
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			assert.equal(article.title, 'Updated');
+			assert.equal(article.body, 'Lorem ipsum');
+			assert.equal(article.author, store.find('user', '1'));
+			assert.deepEqual(article.comments, [store.find('comment', '2')]);
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should replace linked model of to-one relationship', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			article.setRelationship('author', store.findAll('user'));
+			store.sync({
+				data: {
+					type: 'article',
+					id: '1',
+					relationships: { author: { data: { type: 'user', id: '2' } } }
+				}
+			});
+			assert.equal(article.author, store.find('user', '2'));
+		});
+
+		it('should remove fields missing from record with replace strategy', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			/** @type {string[][]} */
+			const changes = [];
+			article.subscribe((change) => {
+				changes.push([...change.attributes, ...change.relationships]);
+			});
+			store.sync(
+				{ data: { type: 'article', id: '1', attributes: { title: 'Hello' } } },
+				{ strategy: 'replace' }
+			);
+			assert.deepEqual(article.changedAttributes(), {});
+			assert.equal(article.title, 'Hello');
+			assert.equal('body' in article, false);
+			assert.equal('views' in article, false);
+			assert.equal('author' in article, false);
+			assert.equal(article.isLoaded('comments'), false);
+			assert.deepEqual(article.relationshipLinks('comments'), {});
+			assert.equal(article.isDirty, false);
+			assert.deepEqual(changes, [['body', 'views', 'author', 'comments']]);
+		});
+
+		it('should resolve differing values with custom resolver', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			/** @type {string[]} */
+			const keys = [];
+			store.sync(
+				{
+					data: {
+						type: 'article',
+						id: '1',
+						attributes: { title: 'Hello', views: 5, tags: ['news'] },
+						relationships: { comments: { data: [{ type: 'comment', id: '2' }] } }
+					}
+				},
+				{
+					strategy: (local, incoming, key) => {
+						keys.push(key);
+						return Array.isArray(local)
+							? [...local, ...incoming]
+							: Math.max(local, incoming);
+					}
+				}
+			);
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			assert.deepEqual(keys, ['views', 'comments']);
+			assert.equal(article.views, 5);
+			assert.deepEqual(article.tags, ['news']);
+			assert.deepEqual(article.comments, [
+				store.find('comment', '1'),
+				store.find('comment', '2')
+			]);
+			assert.deepEqual(Object.keys(article.changedRelationships()), ['comments']);
+		});
+
+		it('should keep unsaved local changes with local conflict strategy', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			article.setAttribute('title', 'Local');
+			article.setRelationship('author', store.find('user', '2'));
+			store.sync(
+				{
+					data: {
+						type: 'article',
+						id: '1',
+						attributes: { title: 'Server', body: 'Server' },
+						relationships: { author: { data: { type: 'user', id: '3' } } }
+					}
+				},
+				{ conflicts: 'local' }
+			);
+			assert.equal(article.title, 'Local');
+			assert.equal(article.body, 'Server');
+			assert.equal(article.author, store.find('user', '2'));
+			assert.deepEqual(article.changedAttributes(), { title: ['Server', 'Local'] });
+
+			article.rollback();
+			assert.equal(article.title, 'Server');
+			assert.equal(article.author, store.find('user', '3'));
+		});
+
+		it('should overwrite unsaved local changes by default', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			article.setAttribute('title', 'Local');
+			store.sync({ data: { type: 'article', id: '1', attributes: { title: 'Server' } } });
+			assert.equal(article.title, 'Server');
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should use merge options of the type', function () {
+			const store = new Store();
+			store.define('article', { strategy: 'replace', conflicts: 'local' });
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			article.setAttribute('body', 'Local');
+			store.sync({ data: { type: 'article', id: '1', attributes: { title: 'Server' } } });
+			assert.equal(article.title, 'Server');
+			assert.equal(article.body, 'Local');
+			assert.equal('views' in article, false);
+
+			store.sync(
+				{ data: { type: 'article', id: '1', attributes: { views: 2 } } },
+				{ strategy: 'merge', conflicts: 'server' }
+			);
+			assert.equal(article.title, 'Server');
+			assert.equal(article.views, 2);
+		});
+
+		it('should throw for unknown strategies', function () {
+			const store = new Store();
+			assert.throws(() => {
+				store.sync(structuredClone(payload), {
+					strategy: /** @type {any} */ ('overwrite')
+				});
+			}, /Unknown merge strategy "overwrite"\./);
+			assert.throws(() => {
+				store.define('article', { conflicts: /** @type {any} */ ('client') });
+			}, /Unknown conflict strategy "client"\./);
+		});
+	});
+});
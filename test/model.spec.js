@@ -315,4 +315,59 @@ describe('Model', function () {
 			});
 		});
 	});
+
+	describe('.subscribe()', function () {
+		it('should notify about attribute changes', function () {
+			const article = new Model('article', '1337');
+			/** @type {import('../index.js').ModelChange[]} */
+			const changes = [];
+			article.subscribe((change) => {
+				changes.push(change);
+			});
+			article.setAttribute('title', 'Cool article');
+			article.setAttribute('title', 'Cool article');
+			assert.equal(changes.length, 1);
+			assert.equal(changes[0]?.kind, 'updated');
+			assert.deepEqual(changes[0]?.attributes, ['title']);
+		});
+
+		it('should batch changes made during sync', function () {
+			const article = new Model('article', '1337');
+			/** @type {import('../index.js').ModelChange[]} */
+			const changes = [];
+			article.subscribe((change) => {
+				changes.push(change);
+			});
+			article.sync({
+				attributes: {
+					title: 'Cool article',
+					body: 'Lorem ipsum'
+				},
+				relationships: {
+					author: {
+						data: { type: 'user', id: '1' }
+					}
+				}
+			});
+			assert.equal(changes.length, 1);
+			assert.deepEqual(changes[0]?.attributes, ['title', 'body']);
+			assert.deepEqual(changes[0]?.relationships, ['author']);
+		});
+
+		it('should notify about changes made through store', function () {
+			const store = new Store();
+			store.sync({ data: { type: 'article', id: '1337' } });
+			const article = /** @type {Model} */ (store.find('article', '1337'));
+			/** @type {import('../index.js').ModelChange[]} */
+			const changes = [];
+			article.subscribe((change) => {
+				changes.push(change);
+			});
+			store.sync({ data: { type: 'article', id: '1337', attributes: { title: 'Cool' } } });
+			store.destroy(article);
+			assert.equal(changes.length, 2);
+			assert.equal(changes[0]?.kind, 'updated');
+			assert.equal(changes[1]?.kind, 'destroyed');
+		});
+	});
 });
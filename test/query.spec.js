@@ -0,0 +1,107 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+describe('Store', function () {
+	describe('.query()', function () {
+		const store = new Store();
+		store.sync({
+			data: [
+				{
+					type: 'article',
+					id: '1',
+					attributes: { title: 'Cool article', status: 'published', views: 10 },
+					relationships: { author: { data: { type: 'user', id: '1' } } }
+				},
+				{
+					type: 'article',
+					id: '2',
+					attributes: { title: 'Better article', status: 'draft', views: 30 },
+					relationships: { author: { data: { type: 'user', id: '2' } } }
+				},
+				{
+					type: 'article',
+					id: '3',
+					attributes: { title: 'Best article', status: 'published', views: 20 },
+					relationships: { author: { data: { type: 'user', id: '1' } } }
+				},
+				{
+					type: 'article',
+					id: '4',
+					attributes: { title: 'Old article', status: 'archived', views: null },
+					relationships: { author: { data: null } }
+				}
+			],
+			included: [
+				{ type: 'user', id: '1', attributes: { name: 'Lucas' } },
+				{ type: 'user', id: '2', attributes: { name: 'Romain' } }
+			]
+		});
+
+		const ids = (/** @type {Model[]} */ models) => models.map((model) => model.id);
+
+		it('should return all models in insertion order without options', function () {
+			assert.deepEqual(ids(store.query('article')), ['1', '2', '3', '4']);
+		});
+
+		it('should filter by attribute equality', function () {
+			assert.deepEqual(ids(store.query('article', { where: { status: 'published' } })), [
+				'1',
+				'3'
+			]);
+		});
+
+		it('should filter by list of values', function () {
+			const articles = store.query('article', {
+				where: { status: { in: ['draft', 'archived'] } }
+			});
+			assert.deepEqual(ids(articles), ['2', '4']);
+		});
+
+		it('should filter by range', function () {
+			const articles = store.query('article', { where: { views: { gte: 20, lt: 30 } } });
+			assert.deepEqual(ids(articles), ['3']);
+		});
+
+		it('should filter by function', function () {
+			const articles = store.query('article', {
+				where: { title: (/** @type {string} */ value) => value.startsWith('B') }
+			});
+			assert.deepEqual(ids(articles), ['2', '3']);
+		});
+
+		it('should filter by relationship path', function () {
+			const articles = store.query('article', { where: { 'author.name': 'Lucas' } });
+			assert.deepEqual(ids(articles), ['1', '3']);
+		});
+
+		it('should filter by relationship path on to-many relationships', function () {
+			store.find('user', '1')?.setRelationship('articles', store.query('article'));
+			const users = store.query('user', { where: { 'articles.status': 'draft' } });
+			assert.deepEqual(ids(users), ['1']);
+		});
+
+		it('should sort by multiple keys', function () {
+			const articles = store.query('article', { sort: ['status', '-views'] });
+			assert.deepEqual(ids(articles), ['4', '2', '3', '1']);
+		});
+
+		it('should sort empty values last', function () {
+			const articles = store.query('article', { sort: '-views' });
+			assert.deepEqual(ids(articles), ['2', '3', '1', '4']);
+		});
+
+		it('should sort by relationship path', function () {
+			const articles = store.query('article', { sort: '-author.name,title' });
+			assert.deepEqual(ids(articles), ['2', '3', '1', '4']);
+		});
+
+		it('should paginate', function () {
+			const articles = store.query('article', { sort: 'title', offset: 1, limit: 2 });
+			assert.deepEqual(ids(articles), ['2', '1']);
+		});
+
+		it('should return empty array for non-existing model type', function () {
+			assert.deepEqual(store.query('bad', { where: { status: 'draft' } }), []);
+		});
+	});
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert';
+import { buildQuery, parseQuery } from '../index.js';
+
+describe('buildQuery()', function () {
+	it('should build encoded query string', function () {
+		assert.equal(
+			buildQuery({
+				include: ['author', 'comments.author'],
+				fields: { article: ['title', 'body'], user: 'name' },
+				sort: ['-createdAt', 'title'],
+				filter: { author: { name: 'Jane Doe' }, tags: ['a&b', 'c,d'] },
+				page: { number: 2, size: 10 }
+			}),
+			[
+				'include=author,comments.author',
+				'fields%5Barticle%5D=title,body',
+				'fields%5Buser%5D=name',
+				'sort=-createdAt,title',
+				'filter%5Bauthor%5D%5Bname%5D=Jane%20Doe',
+				'filter%5Btags%5D=a%26b,c%2Cd',
+				'page%5Bnumber%5D=2',
+				'page%5Bsize%5D=10'
+			].join('&')
+		);
+	});
+
+	it('should skip empty parameters', function () {
+		assert.equal(
+			buildQuery({ include: [], filter: { title: null }, locale: 'en' }),
+			'locale=en'
+		);
+	});
+});
+
+describe('parseQuery()', function () {
+	it('should parse query string into parameters', function () {
+		assert.deepEqual(
+			parseQuery(
+				'?include=author,comments.author&fields%5Barticle%5D=title,body&fields[user]=name' +
+					'&sort=-createdAt&filter[author][name]=Jane+Doe&page[number]=2&locale=en'
+			),
+			{
+				include: ['author', 'comments.author'],
+				fields: { article: ['title', 'body'], user: ['name'] },
+				sort: ['-createdAt'],
+				filter: { author: { name: 'Jane Doe' } },
+				page: { number: '2' },
+				locale: 'en'
+			}
+		);
+	});
+
+	it('should parse built query string back', function () {
+		const parameters = {
+			include: ['author'],
+			fields: { article: ['title', 'a,b'] },
+			sort: ['-createdAt'],
+			filter: { title: 'a=b&c' },
+			page: { cursor: 'abc' }
+		};
+		assert.deepEqual(parseQuery(buildQuery(parameters)), parameters);
+		assert.deepEqual(
+			parseQuery(buildQuery({ filter: { tags: ['a', 'b,c'] }, page: { size: 10 } })),
+			{
+				filter: { tags: 'a,b,c' },
+				page: { size: '10' }
+			}
+		);
+	});
+
+	it('should skip parameters which would pollute prototypes', function () {
+		const parameters = parseQuery(
+			'__proto__[polluted]=1&filter[__proto__][y]=2&filter[constructor][prototype][z]=3&filter[a]=b'
+		);
+		assert.deepEqual(parameters, { filter: { a: 'b' } });
+		assert.equal(Object.hasOwn(Object.prototype, 'polluted'), false);
+		assert.equal(Object.hasOwn(Object.prototype, 'y'), false);
+		assert.equal(Object.hasOwn(Object.prototype, 'z'), false);
+	});
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+class ArticleModel extends Model {
+	/**
+	 * @this {Model & {publishedAt?: string}}
+	 */
+	isPublished() {
+		return typeof this.publishedAt !== 'undefined';
+	}
+}
+
+class BaseModel extends Model {
+	label() {
+		return `${this.type}:${this.id}`;
+	}
+}
+
+describe('Store', function () {
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1337',
+			attributes: {
+				publishedAt: '2024-05-01'
+			},
+			relationships: {
+				author: {
+					data: { type: 'user', id: '1' }
+				},
+				related: {
+					data: [{ type: 'article', id: '1338' }]
+				}
+			}
+		}
+	};
+
+	describe('.registerModel()', function () {
+		it('should create models with registered class', function () {
+			const store = new Store();
+			store.registerModel('article', ArticleModel);
+			store.sync(payload);
+			const article = store.find('article', '1337');
+			assert.ok(article instanceof ArticleModel);
+			assert.equal(article.isPublished(), true);
+		});
+
+		it('should create related models with registered class', function () {
+			const store = new Store();
+			store.registerModel('article', ArticleModel);
+			store.sync(payload);
+			const relatedArticle = store.find('article', '1338');
+			assert.ok(relatedArticle instanceof ArticleModel);
+			assert.equal(relatedArticle.isPublished(), false);
+			assert.ok(!(store.find('user', '1') instanceof ArticleModel));
+		});
+
+		it('should create models with registered class on hydration', function () {
+			const store = new Store();
+			store.sync(payload);
+			const hydratedStore = new Store();
+			hydratedStore.registerModel('article', ArticleModel);
+			hydratedStore.hydrate(store.snapshot());
+			assert.ok(hydratedStore.find('article', '1337') instanceof ArticleModel);
+		});
+
+		it('should throw for class not extending Model', function () {
+			const store = new Store();
+			assert.throws(() => {
+				// @ts-ignore
+				store.registerModel('article', class {});
+			}, TypeError);
+		});
+	});
+
+	describe('.registerDefaultModel()', function () {
+		it('should create models of types without registered class', function () {
+			const store = new Store();
+			store.registerModel('article', ArticleModel);
+			store.registerDefaultModel(BaseModel);
+			store.sync(payload);
+			const user = store.find('user', '1');
+			assert.ok(store.find('article', '1337') instanceof ArticleModel);
+			assert.ok(user instanceof BaseModel);
+			assert.equal(user.label(), 'user:1');
+		});
+
+		it('should throw for class not extending Model', function () {
+			const store = new Store();
+			assert.throws(() => {
+				// @ts-ignore
+				store.registerDefaultModel(Object);
+			}, TypeError);
+		});
+	});
+});
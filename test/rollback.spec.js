@@ -0,0 +1,158 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ * @typedef {Model & {title: string, tags: string[], author: ?Model, comments: Model[]}} Article
+ */
+
+describe('Model', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1337',
+			attributes: {
+				title: 'Cool article',
+				tags: ['news']
+			},
+			relationships: {
+				author: {
+					data: { type: 'user', id: '1' }
+				},
+				comments: {
+					data: [{ type: 'comment', id: '1' }]
+				}
+			}
+		}
+	};
+
+	const createArticle = () => {
+		const store = new Store();
+		store.sync(structuredClone(payload));
+		const article = /** @type {Article} */ (store.find('article', '1337'));
+		return { store, article };
+	};
+
+	describe('.rollback()', function () {
+		it('should restore synced attributes', function () {
+			const { article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			article.tags.push('sport');
+			article.rollback();
+			assert.equal(article.title, 'Cool article');
+			assert.deepEqual(article.tags, ['news']);
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should not change synced payload', function () {
+			const store = new Store();
+			const document = structuredClone(payload);
+			store.sync(document);
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			article.tags.push('sport');
+			article.rollback();
+			assert.deepEqual(document, payload);
+			assert.deepEqual(article.tags, ['news']);
+		});
+
+		it('should remove attributes which were not synced', function () {
+			const { article } = createArticle();
+			article.setAttribute('body', 'Lorem ipsum');
+			article.rollback();
+			assert.ok(!('body' in article));
+			const serializedArticle = article.serialize();
+			assert.ok(!Array.isArray(serializedArticle.data));
+			assert.deepEqual(Object.keys(serializedArticle.data?.attributes ?? {}), [
+				'title',
+				'tags'
+			]);
+		});
+
+		it('should restore synced relationships', function () {
+			const { store, article } = createArticle();
+			const user = store.find('user', '1');
+			const [comment] = article.comments;
+			article.setRelationship('author', store.initModel('user', '2'));
+			article.setRelationship('comments', store.initModel('comment', '2'));
+			article.rollback();
+			assert.equal(article.author, user);
+			assert.deepEqual(article.comments, [comment]);
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should notify once about all restored fields', function () {
+			const { store, article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			article.setRelationship('author', null);
+			/** @type {import('../index.js').ModelChange[]} */
+			const changes = [];
+			article.subscribe((change) => {
+				changes.push(change);
+			});
+			article.rollback();
+			assert.equal(changes.length, 1);
+			assert.deepEqual(changes[0]?.attributes, ['title']);
+			assert.deepEqual(changes[0]?.relationships, ['author']);
+			assert.equal(article.author, store.find('user', '1'));
+		});
+
+		it('should keep unlinking restored relationships on destroy', function () {
+			const { store, article } = createArticle();
+			const user = store.initModel('user', '2');
+			article.setRelationship('author', user);
+			article.rollback();
+			store.destroy(user);
+			assert.equal(article.author, store.find('user', '1'));
+			store.destroy(store.find('user', '1'));
+			assert.equal(article.author, null);
+		});
+
+		it('should relink relationships restored after local removal', function () {
+			const { store, article } = createArticle();
+			article.removeRelationship('comment', '1', 'comments');
+			assert.deepEqual(article.comments, []);
+			article.rollback();
+			assert.equal(article.comments.length, 1);
+			store.destroy(store.find('comment', '1'));
+			assert.deepEqual(article.comments, []);
+		});
+	});
+
+	describe('.rollbackAttribute()', function () {
+		it('should restore only given attribute', function () {
+			const { article } = createArticle();
+			article.setAttribute('title', 'Cooler article');
+			article.setAttribute('tags', ['sport']);
+			article.rollbackAttribute('title');
+			assert.equal(article.title, 'Cool article');
+			assert.deepEqual(article.tags, ['sport']);
+		});
+
+		it('should not share restored value with synced state', function () {
+			const { article } = createArticle();
+			article.setAttribute('tags', ['sport']);
+			article.rollbackAttribute('tags');
+			article.tags.push('sport');
+			article.rollbackAttribute('tags');
+			assert.deepEqual(article.tags, ['news']);
+		});
+
+		it('should ignore unknown attribute', function () {
+			const { article } = createArticle();
+			article.rollbackAttribute('body');
+			assert.equal(article.isDirty, false);
+		});
+	});
+
+	describe('.rollbackRelationship()', function () {
+		it('should remove relationship which was not synced', function () {
+			const { store, article } = createArticle();
+			const tag = store.initModel('tag', '1');
+			article.setRelationship('tag', tag);
+			article.rollbackRelationship('tag');
+			assert.ok(!('tag' in article));
+			assert.equal(article.isDirty, false);
+		});
+	});
+});
@@ -0,0 +1,186 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ * @typedef {Model & {title: string, publishedAt: Date, views: number, tags: string[], price: {amount: number, currency: string}, comments: Model[]}} Article
+ */
+
+describe('Store', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1337',
+			attributes: {
+				title: 'Cool article',
+				publishedAt: '2024-05-01T10:00:00.000Z',
+				price: '10 EUR'
+			},
+			relationships: {
+				comments: {
+					data: [{ type: 'comment', id: '1' }]
+				}
+			}
+		}
+	};
+
+	const createStore = () => {
+		const store = new Store();
+		store.registerTransform('money', {
+			deserialize: (value) => {
+				const [amount, currency] = value.split(' ');
+				return { amount: Number(amount), currency: currency };
+			},
+			serialize: (value) => `${value.amount} ${value.currency}`
+		});
+		store.define('article', {
+			attributes: {
+				title: 'string',
+				publishedAt: 'date',
+				views: { type: 'number', default: 0 },
+				tags: { default: () => [] },
+				price: 'money'
+			},
+			relationships: {
+				author: { type: 'user', kind: 'one' },
+				comments: { type: 'comment', kind: 'many' }
+			}
+		});
+		return store;
+	};
+
+	describe('.define()', function () {
+		it('should deserialize attributes on sync', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			assert.ok(article.publishedAt instanceof Date);
+			assert.equal(article.publishedAt.getTime(), Date.UTC(2024, 4, 1, 10));
+			assert.deepEqual(article.price, { amount: 10, currency: 'EUR' });
+		});
+
+		it('should set default values of missing attributes', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			store.sync({ data: { type: 'article', id: '1338' } });
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			const otherArticle = /** @type {Article} */ (store.find('article', '1338'));
+			assert.equal(article.views, 0);
+			assert.deepEqual(article.tags, []);
+			assert.notEqual(article.tags, otherArticle.tags);
+			assert.equal(article.isDirty, false);
+		});
+
+		it('should serialize attributes', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			article.setAttribute('publishedAt', new Date(Date.UTC(2024, 5, 1)));
+			const serializedArticle = article.serialize({ attributes: ['publishedAt', 'price'] });
+			assert.ok(!Array.isArray(serializedArticle.data));
+			assert.deepEqual(serializedArticle.data?.attributes, {
+				publishedAt: '2024-06-01T00:00:00.000Z',
+				price: '10 EUR'
+			});
+		});
+
+		it('should compare serialized values for dirty tracking', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			assert.equal(article.isDirty, false);
+			article.price.amount = 20;
+			assert.deepEqual(article.changedAttributes(), {
+				price: [
+					{ amount: 10, currency: 'EUR' },
+					{ amount: 20, currency: 'EUR' }
+				]
+			});
+			article.rollback();
+			assert.deepEqual(article.price, { amount: 10, currency: 'EUR' });
+		});
+
+		it('should not change attributes when synced values are the same', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			const { publishedAt } = article;
+			let calls = 0;
+			store.subscribe(() => {
+				calls += 1;
+			});
+			store.sync(structuredClone(payload));
+			assert.equal(article.publishedAt, publishedAt);
+			assert.equal(calls, 0);
+		});
+
+		it('should replace to-many relationships on sync', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			store.sync({
+				data: {
+					type: 'article',
+					id: '1337',
+					relationships: {
+						comments: { data: [{ type: 'comment', id: '2' }] }
+					}
+				}
+			});
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			assert.deepEqual(
+				article.comments.map((comment) => comment.id),
+				['2']
+			);
+		});
+
+		it('should keep values which are not dates', function () {
+			const store = new Store();
+			store.define('article', { attributes: { publishedAt: 'date' } });
+			store.sync({ data: { type: 'article', id: '1', attributes: { publishedAt: 'nope' } } });
+			const article = /** @type {Article} */ (store.find('article', '1'));
+			assert.equal(article.publishedAt, 'nope');
+			assert.equal(article.isDirty, false);
+			article.setAttribute('publishedAt', new Date('later'));
+			assert.equal(article.isDirty, true);
+			assert.deepEqual(article.serialize().data, {
+				type: 'article',
+				id: '1',
+				attributes: { publishedAt: null }
+			});
+		});
+
+		it('should apply schema to existing models', function () {
+			const store = new Store();
+			store.sync(structuredClone(payload));
+			store.define('article', { attributes: { publishedAt: 'date' } });
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			assert.ok(article.publishedAt instanceof Date);
+		});
+
+		it('should round-trip snapshots', function () {
+			const store = createStore();
+			store.sync(structuredClone(payload));
+			const hydratedStore = createStore();
+			hydratedStore.hydrate(JSON.parse(JSON.stringify(store)));
+			const article = /** @type {Article} */ (hydratedStore.find('article', '1337'));
+			assert.ok(article.publishedAt instanceof Date);
+			assert.deepEqual(article.price, { amount: 10, currency: 'EUR' });
+		});
+
+		it('should throw on unknown transform', function () {
+			const store = new Store();
+			assert.throws(() => {
+				store.define('article', { attributes: { price: 'money' } });
+			}, TypeError);
+		});
+
+		it('should throw on unknown relationship kind', function () {
+			const store = new Store();
+			assert.throws(() => {
+				// @ts-ignore
+				store.define('article', { relationships: { author: { kind: 'single' } } });
+			}, TypeError);
+		});
+	});
+});
@@ -0,0 +1,211 @@
+import assert from 'node:assert';
+import { Store, Model } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+describe('Store', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: [
+			{
+				type: 'article',
+				id: '1338',
+				attributes: {
+					title: 'Better article'
+				},
+				relationships: {
+					author: {
+						data: { type: 'user', id: '1' },
+						links: { related: 'http://example.com/articles/1338/author' }
+					},
+					comments: {
+						links: { related: 'http://example.com/articles/1338/comments' },
+						meta: { total: 3 }
+					}
+				},
+				links: {
+					self: 'http://example.com/articles/1338'
+				},
+				meta: {
+					views: 10
+				}
+			},
+			{
+				type: 'article',
+				id: '1337',
+				attributes: {
+					title: 'Cool article'
+				},
+				relationships: {
+					author: {
+						data: { type: 'user', id: '1' }
+					}
+				}
+			}
+		],
+		included: [
+			{
+				type: 'user',
+				id: '1',
+				attributes: {
+					name: 'Lucas'
+				}
+			}
+		],
+		meta: {
+			total: 2
+		},
+		links: {
+			self: 'http://example.com/articles'
+		},
+		jsonapi: {
+			version: '1.1'
+		}
+	};
+
+	describe('.snapshot()', function () {
+		it('should contain every model in order', function () {
+			const store = new Store();
+			store.sync(payload);
+			const snapshot = store.snapshot();
+			assert.deepEqual(
+				snapshot.records.map((record) => `${record.type}:${record.id}`),
+				['user:1', 'article:1338', 'article:1337']
+			);
+			assert.deepEqual(snapshot.order, { user: ['1'], article: ['1338', '1337'] });
+		});
+
+		it('should contain dependents and top level properties', function () {
+			const store = new Store();
+			store.sync(payload);
+			const snapshot = store.snapshot();
+			assert.deepEqual(snapshot.dependents, {
+				user: {
+					'1': [
+						{ type: 'article', id: '1338', relation: 'author' },
+						{ type: 'article', id: '1337', relation: 'author' }
+					]
+				}
+			});
+			assert.deepEqual(snapshot.meta, { total: 2 });
+			assert.deepEqual(snapshot.jsonapi, { version: '1.1' });
+			assert.ok(!('errors' in snapshot));
+		});
+
+		it('should keep relationships without data', function () {
+			const store = new Store();
+			store.sync(payload);
+			const [, record] = store.snapshot().records;
+			// eslint-disable-next-line dot-notation
+			assert.deepEqual(record?.relationships?.['comments'], {
+				links: { related: 'http://example.com/articles/1338/comments' },
+				meta: { total: 3 }
+			});
+		});
+
+		it('should be serializable with JSON.stringify', function () {
+			const store = new Store();
+			store.sync(payload);
+			assert.deepEqual(JSON.parse(JSON.stringify(store)), store.snapshot());
+		});
+
+		it('should not share data with the store', function () {
+			const store = new Store();
+			store.sync(payload);
+			const snapshot = store.snapshot();
+			// @ts-ignore
+			snapshot.records[1].links.self = 'http://example.com/changed';
+			assert.equal(
+				store.find('article', '1338')?.links.self,
+				'http://example.com/articles/1338'
+			);
+		});
+	});
+
+	describe('.hydrate()', function () {
+		it('should round-trip the store', function () {
+			const store = new Store();
+			store.sync(payload);
+			const snapshot = JSON.parse(JSON.stringify(store.snapshot()));
+			const hydratedStore = new Store();
+			hydratedStore.hydrate(snapshot);
+			assert.deepEqual(hydratedStore.snapshot(), store.snapshot());
+		});
+
+		it('should rebuild the data graph', function () {
+			/** @typedef {Model & {author: Model & {name: string}}} Article */
+			const store = new Store();
+			store.sync(payload);
+			const hydratedStore = new Store();
+			hydratedStore.sync({ data: { type: 'tag', id: '1' } });
+			hydratedStore.hydrate(store.snapshot());
+			const article = /** @type {Article} */ (hydratedStore.find('article', '1337'));
+			assert.equal(article.author, hydratedStore.find('user', '1'));
+			assert.equal(article.author.name, 'Lucas');
+			assert.equal(hydratedStore.find('tag', '1'), null);
+			assert.deepEqual(hydratedStore.links, { self: 'http://example.com/articles' });
+		});
+
+		it('should keep dependents for unlinking', function () {
+			/** @typedef {Model & {author: ?Model}} Article */
+			const sourceStore = new Store();
+			sourceStore.sync(payload);
+			const store = new Store();
+			store.hydrate(JSON.parse(JSON.stringify(sourceStore)));
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			store.destroy(store.find('user', '1'));
+			assert.equal(article.author, null);
+		});
+
+		it('should keep changes, stubs and loaded fields of the last sync', function () {
+			/** @typedef {Model & {title: string, author: ?Model}} Article */
+			const store = new Store();
+			store.sync(payload);
+			store.sync({
+				data: {
+					type: 'comment',
+					id: '1',
+					relationships: { author: { data: { type: 'user', id: '2' } } }
+				}
+			});
+			const article = /** @type {Article} */ (store.find('article', '1337'));
+			article.setAttribute('title', 'Changed article');
+			article.setRelationship('author', store.find('user', '2'));
+			const hydratedStore = Store.fromSnapshot(JSON.parse(JSON.stringify(store)));
+			const hydratedArticle = /** @type {Article} */ (hydratedStore.find('article', '1337'));
+			assert.equal(hydratedArticle.isDirty, true);
+			assert.deepEqual(hydratedArticle.changedAttributes(), {
+				title: ['Cool article', 'Changed article']
+			});
+			assert.deepEqual(hydratedArticle.loadedFields, ['title', 'author']);
+			assert.equal(hydratedStore.find('user', '2')?.isStub, true);
+			hydratedArticle.rollback();
+			assert.equal(hydratedArticle.title, 'Cool article');
+			assert.equal(hydratedArticle.author, hydratedStore.find('user', '1'));
+			assert.equal(hydratedArticle.isDirty, false);
+		});
+
+		it('should throw on unsupported snapshot', function () {
+			const store = new Store();
+			assert.throws(() => {
+				// @ts-ignore
+				store.hydrate({ version: 2 });
+			}, TypeError);
+		});
+	});
+
+	describe('.fromSnapshot()', function () {
+		it('should create store from snapshot', function () {
+			const store = new Store();
+			store.sync(payload);
+			const hydratedStore = Store.fromSnapshot(store.snapshot());
+			assert.ok(hydratedStore instanceof Store);
+			assert.deepEqual(
+				hydratedStore.findAll('article').map((model) => model.id),
+				['1338', '1337']
+			);
+		});
+	});
+});
@@ -29,6 +29,13 @@ describe('Store', function () {
 				assert.ok(article instanceof Model);
 				assert.equal(article.type, 'article');
 			});
+
+			it('should return synced model', function () {
+				const article = store.sync(payload);
+				assert.equal(article, store.find('article', '1337'));
+				assert.deepEqual(store.sync({ data: [payload.data] }), [article]);
+				assert.equal(store.sync({ meta: {} }), null);
+			});
 		});
 
 		context('when given a payload with simple attributes', function () {
@@ -458,4 +465,192 @@ describe('Store', function () {
 			assert.equal(article.related_article, null);
 		});
 	});
+
+	describe('.subscribe()', function () {
+		const payload = {
+			data: {
+				type: 'article',
+				id: '1337',
+				attributes: {
+					title: 'Cool article'
+				},
+				relationships: {
+					author: {
+						data: {
+							type: 'user',
+							id: '1'
+						}
+					}
+				}
+			},
+			included: [
+				{
+					type: 'user',
+					id: '1',
+					attributes: {
+						name: 'Lucas'
+					}
+				}
+			]
+		};
+
+		it('should notify once per sync', function () {
+			const store = new Store();
+			/** @type {import('../index.js').StoreChange[]} */
+			const events = [];
+			store.subscribe((event) => {
+				events.push(event);
+			});
+			store.sync(payload);
+			assert.equal(events.length, 1);
+			assert.deepEqual(
+				events[0]?.created.map((model) => `${model.type}:${model.id}`),
+				['user:1', 'article:1337']
+			);
+			assert.equal(events[0]?.updated.length, 0);
+		});
+
+		it('should report changed attributes and relationships', function () {
+			const store = new Store();
+			store.sync(payload);
+			/** @type {import('../index.js').StoreChange[]} */
+			const events = [];
+			store.subscribe((event) => {
+				events.push(event);
+			});
+			store.sync({
+				data: {
+					type: 'article',
+					id: '1337',
+					attributes: {
+						title: 'Cooler article'
+					},
+					relationships: {
+						author: {
+							data: null
+						}
+					}
+				}
+			});
+			assert.equal(events.length, 1);
+			assert.equal(events[0]?.updated[0], store.find('article', '1337'));
+			assert.deepEqual(events[0]?.changes[0]?.attributes, ['title']);
+			assert.deepEqual(events[0]?.changes[0]?.relationships, ['author']);
+		});
+
+		it('should not notify when nothing changed', function () {
+			const store = new Store();
+			store.sync(payload);
+			let calls = 0;
+			store.subscribe(() => {
+				calls += 1;
+			});
+			store.sync(payload);
+			assert.equal(calls, 0);
+		});
+
+		it('should notify about local changes', function () {
+			const store = new Store();
+			store.sync(payload);
+			/** @type {import('../index.js').StoreChange[]} */
+			const events = [];
+			store.subscribe((event) => {
+				events.push(event);
+			});
+			store.find('article', '1337')?.setAttribute('title', 'Cooler article');
+			assert.equal(events.length, 1);
+			assert.deepEqual(events[0]?.changes[0]?.attributes, ['title']);
+		});
+
+		it('should notify about destroyed and unlinked models', function () {
+			const store = new Store();
+			store.sync(payload);
+			/** @type {import('../index.js').StoreChange[]} */
+			const events = [];
+			store.subscribe((event) => {
+				events.push(event);
+			});
+			const article = store.find('article', '1337');
+			store.destroy(store.find('user', '1'));
+			assert.equal(events.length, 1);
+			assert.equal(events[0]?.destroyed[0]?.id, '1');
+			assert.equal(events[0]?.updated[0], article);
+			assert.deepEqual(events[0]?.changes[0]?.relationships, ['author']);
+		});
+
+		it('should stop notifying after unsubscribing', function () {
+			const store = new Store();
+			let calls = 0;
+			const unsubscribe = store.subscribe(() => {
+				calls += 1;
+			});
+			unsubscribe();
+			store.sync(payload);
+			assert.equal(calls, 0);
+		});
+	});
+
+	describe('.on()', function () {
+		const payload = {
+			data: [
+				{
+					type: 'article',
+					id: '1337'
+				},
+				{
+					type: 'article',
+					id: '1338'
+				}
+			]
+		};
+
+		it('should notify only about models of given type and id', function () {
+			const store = new Store();
+			store.sync(payload);
+			/** @type {import('../index.js').StoreChange[]} */
+			const events = [];
+			store.on('change', 'article', '1338', (event) => {
+				events.push(event);
+			});
+			store.find('article', '1337')?.setAttribute('title', 'Cool article');
+			store.find('article', '1338')?.setAttribute('title', 'Better article');
+			assert.equal(events.length, 1);
+			assert.equal(events[0]?.updated[0]?.id, '1338');
+		});
+
+		it('should notify only about models of given type', function () {
+			const store = new Store();
+			let calls = 0;
+			store.on('change', 'user', () => {
+				calls += 1;
+			});
+			store.sync(payload);
+			assert.equal(calls, 0);
+		});
+
+		it('should throw on unknown event', function () {
+			const store = new Store();
+			assert.throws(() => {
+				// @ts-ignore
+				store.on('update', () => {});
+			}, TypeError);
+		});
+	});
+
+	describe('.batch()', function () {
+		it('should notify once for all changes', function () {
+			const store = new Store();
+			let calls = 0;
+			store.subscribe(() => {
+				calls += 1;
+			});
+			const result = store.batch(() => {
+				store.sync({ data: { type: 'article', id: '1337' } });
+				store.sync({ data: { type: 'article', id: '1338' } });
+				return 'done';
+			});
+			assert.equal(result, 'done');
+			assert.equal(calls, 1);
+		});
+	});
 });
@@ -0,0 +1,166 @@
+/* eslint-disable dot-notation */
+
+import assert from 'node:assert';
+import { Store, validateDocument, DocumentValidationError } from '../index.js';
+
+/**
+ * @typedef {import('../internal.ts').JSONAPIDocument} JSONAPIDocument
+ */
+
+describe('validateDocument()', function () {
+	/** @type {JSONAPIDocument} */
+	const payload = {
+		data: {
+			type: 'article',
+			id: '1337',
+			attributes: {
+				title: 'Cool article'
+			},
+			relationships: {
+				author: {
+					data: { type: 'user', id: '1' }
+				}
+			}
+		},
+		included: [
+			{
+				type: 'user',
+				id: '1',
+				attributes: { name: 'Jane' },
+				relationships: {
+					avatar: { data: { type: 'image', id: '1' } }
+				}
+			},
+			{ type: 'image', id: '1' }
+		]
+	};
+
+	/**
+	 * @param {any} document
+	 */
+	const getPointers = (document) => validateDocument(document).map(({ pointer }) => pointer);
+
+	it('should return no issues for valid document', function () {
+		assert.deepEqual(validateDocument(payload), []);
+		assert.deepEqual(validateDocument({ meta: { total: 0 } }), []);
+		assert.deepEqual(validateDocument({ data: null }), []);
+		assert.deepEqual(validateDocument({ errors: [{ status: '404', title: 'Not found' }] }), []);
+	});
+
+	it('should report document which is not an object', function () {
+		assert.deepEqual(validateDocument([]), [
+			{ pointer: '', message: 'Document must be an object' }
+		]);
+	});
+
+	it('should report missing top level members', function () {
+		assert.deepEqual(getPointers({ links: { self: '/articles' } }), ['']);
+	});
+
+	it('should report data and errors together', function () {
+		assert.deepEqual(validateDocument({ data: null, errors: [] }), [
+			{ pointer: '/errors', message: 'Document must not contain both "data" and "errors"' }
+		]);
+	});
+
+	it('should report missing type and non-string id', function () {
+		assert.deepEqual(getPointers({ data: [{ id: '1' }, { type: 'article', id: 1 }] }), [
+			'/data/0/type',
+			'/data/1/id'
+		]);
+	});
+
+	it('should report linkage objects with attributes', function () {
+		const document = structuredClone(payload);
+		Object.assign(document.included?.[0]?.relationships?.['avatar']?.data ?? {}, {
+			attributes: { url: '/avatar.png' }
+		});
+		assert.deepEqual(validateDocument(document), [
+			{
+				pointer: '/included/0/relationships/avatar/data/attributes',
+				message: 'Unexpected member "attributes"'
+			}
+		]);
+	});
+
+	it('should report included resources which are not linked', function () {
+		const document = structuredClone(payload);
+		document.included?.push({ type: 'tag', id: '1' });
+		assert.deepEqual(validateDocument(document), [
+			{
+				pointer: '/included/2',
+				message:
+					'Included resource "tag:1" is not linked from primary data or other included resources'
+			}
+		]);
+	});
+
+	it('should report duplicated resources', function () {
+		const document = structuredClone(payload);
+		document.included?.push({ type: 'image', id: '1' });
+		assert.deepEqual(getPointers(document), ['/included/2']);
+	});
+
+	it('should report invalid members of error objects', function () {
+		assert.deepEqual(getPointers({ errors: [{ status: '422', pointer: '/data' }] }), [
+			'/errors/0/pointer'
+		]);
+	});
+
+	it('should escape keys in pointers', function () {
+		assert.deepEqual(
+			getPointers({ data: { type: 'article', id: '1', attributes: [] }, 'a/b': 1 }),
+			['/a~1b', '/data/attributes']
+		);
+	});
+
+	it('should allow extension members', function () {
+		assert.deepEqual(
+			validateDocument({ data: null, 'atomic:results': [], meta: { 'a/b': true } }),
+			[]
+		);
+	});
+});
+
+describe('Store', function () {
+	describe('.sync()', function () {
+		it('should throw for invalid document in strict mode', function () {
+			const store = new Store({ strict: true });
+			/** @type {any} */
+			const document = {
+				data: { type: 'article', id: '1' },
+				included: [{ type: 'user', id: '1' }]
+			};
+			assert.throws(
+				() => store.sync(document),
+				(/** @type {any} */ error) => {
+					assert.ok(error instanceof DocumentValidationError);
+					assert.deepEqual(error.errors, [
+						{
+							pointer: '/included/0',
+							message:
+								'Included resource "user:1" is not linked from primary data or other included resources'
+						}
+					]);
+					return true;
+				}
+			);
+			assert.equal(store.find('article', '1'), null);
+			assert.ok(typeof store.meta === 'undefined');
+		});
+
+		it('should sync valid document in strict mode', function () {
+			const store = new Store({ strict: true });
+			store.sync({ data: { type: 'article', id: '1' } });
+			assert.ok(store.find('article', '1'));
+		});
+
+		it('should accept invalid document by default', function () {
+			const store = new Store();
+			/** @type {any} */
+			const document = { data: { type: 'article', id: 1 } };
+			store.sync(document);
+			assert.equal(store.findAll('article').length, 1);
+		});
+	});
+});